@@ -4,6 +4,7 @@
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const admin = require('firebase-admin');
 const rateLimit = require('express-rate-limit');
 
@@ -204,6 +205,9 @@ const verifySubscriptionForAccess = async (req, res, next) => {
       });
     }
     
+    // Attach user data so endpoints that edit plans can re-apply allergies and preferences
+    req.userData = userData;
+    
     next();
     
   } catch (error) {
@@ -215,6 +219,20 @@ const verifySubscriptionForAccess = async (req, res, next) => {
   }
 };
 
+/**
+ * Admin validation for support tools
+ * Requires the Firebase custom claim admin: true; run after verifyFirebaseAuth
+ */
+const verifyAdmin = (req, res, next) => {
+  if (req.user?.admin !== true) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'This endpoint is only available to administrators'
+    });
+  }
+  next();
+};
+
 // Apply rate limiting to all routes
 router.use(apiLimiter);
 
@@ -288,7 +306,12 @@ const getDietInformationSchema = () => ({
   preferredEatingTimes: getFieldSchema('preferredEatingTimes', 'array', false, 'Meal times in HH:MM format', { itemType: 'string', format: 'HH:MM', example: ['08:00', '12:00', '18:00'] }),
   snackHabits: getFieldSchema('snackHabits', 'array', false, 'Array of snacking habits', { itemType: 'string', example: ['nuts', 'fruits', 'yogurt'] }),
   foodDislikes: getFieldSchema('foodDislikes', 'array', false, 'Array of disliked foods', { itemType: 'string', example: ['spicy foods', 'mushrooms'] }),
-  willingness: getFieldSchema('willingness', 'array', false, 'Array of dietary changes willing to make', { itemType: 'string', example: ['reduce sugar', 'eat more vegetables'] })
+  willingness: getFieldSchema('willingness', 'array', false, 'Array of dietary changes willing to make', { itemType: 'string', example: ['reduce sugar', 'eat more vegetables'] }),
+  guidelineProfile: getFieldSchema('guidelineProfile', 'string', false, 'Guideline used for daily sugar, salt and saturated fat caps', { enum: ['uk-ri', 'who', 'us-dga'], example: 'uk-ri' }),
+  nutrientCaps: getFieldSchema('nutrientCaps', 'object', false, 'Daily caps in grams, overriding the guideline profile', { format: '{ "sugars": number, "salt": number, "saturates": number }', example: { sugars: 60, salt: 5 } }),
+  targetWeight: getFieldSchema('targetWeight', 'number', false, 'Target weight in kilograms; sets the calorie deficit or surplus with weeklyRateKg', { range: '30-300', example: 72 }),
+  weeklyRateKg: getFieldSchema('weeklyRateKg', 'number', false, 'Desired weight change per week in kilograms', { range: '0.25-1', example: 0.5 }),
+  preferenceWeight: getFieldSchema('preferenceWeight', 'number', false, 'How strongly meal selection favours foodLikes, snackHabits and cuisines in foodPreference (0 turns it off)', { range: '0-1', example: 0.5 })
 });
 
 /**
@@ -308,7 +331,10 @@ const getHealthInformationSchema = () => ({
   medications: getFieldSchema('medications', 'array', false, 'Array of current medications', { itemType: 'string', example: ['metformin', 'aspirin'] }),
   currentAlcohol: getFieldSchema('currentAlcohol', 'string', false, 'Alcohol consumption frequency', { enum: ['none', 'occasional', 'moderate', 'frequent'] }),
   lastAlcohol: getFieldSchema('lastAlcohol', 'string', false, 'Last alcoholic drink date', { format: 'ISO date (YYYY-MM-DD)' }),
-  otherIssues: getFieldSchema('otherIssues', 'string', false, 'Other health concerns')
+  otherIssues: getFieldSchema('otherIssues', 'string', false, 'Other health concerns'),
+  bmrFormula: getFieldSchema('bmrFormula', 'string', false, 'Equation used for resting energy (BMR)', { enum: ['mifflin-st-jeor', 'harris-benedict', 'katch-mcardle'], example: 'mifflin-st-jeor' }),
+  bodyFatPercentage: getFieldSchema('bodyFatPercentage', 'number', false, 'Body fat percentage; required for katch-mcardle', { range: '3-60' }),
+  lifestyleActivity: getFieldSchema('lifestyleActivity', 'string', false, 'Everyday activity outside logged exercise (job, commute, chores)', { enum: ['sedentary', 'lightly-active', 'moderately-active', 'very-active'], example: 'sedentary' })
 });
 
 /**
@@ -329,8 +355,8 @@ const getExercisePreferenceSchema = () => ({
  * Get complete schema for weekly exercise endpoint (Phase 5)
  */
 const getWeeklyExerciseSchema = () => ({
-  weeklyActivity: getFieldSchema('weeklyActivity', 'object', false, 'Daily activity schedule', { 
-    format: '{ "Monday": { "activityName": "string", "duration": number, "calories": number }, ... }',
+  weeklyActivity: getFieldSchema('weeklyActivity', 'object', false, 'Daily activity schedule; omit calories to estimate them from the activity, duration and stored weight', { 
+    format: '{ "Monday": { "activityName": "string", "duration": number, "calories": number (optional) }, ... }',
     daysOfWeek: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
     example: {
       Monday: { activityName: 'Running', duration: 45, calories: 400 },
@@ -353,6 +379,649 @@ const getSubscriptionSchema = () => ({
   autoRenewal: getFieldSchema('autoRenewal', 'boolean', false, 'Auto-renewal enabled status')
 });
 
+// ============================================
+// ACTIVITY CALORIE ESTIMATION
+// ============================================
+
+// MET values (Compendium of Physical Activities) with the words that identify each activity
+// in a free-text activity name. Longer keywords are matched first ("power yoga" before "yoga").
+const ACTIVITY_METS = {
+  walking: { met: 3.5, keywords: ['walk', 'walking'] },
+  'brisk walking': { met: 4.3, keywords: ['brisk walk', 'brisk walking', 'power walk', 'power walking'] },
+  hiking: { met: 6.0, keywords: ['hike', 'hiking', 'trekking'] },
+  jogging: { met: 7.0, keywords: ['jog', 'jogging'] },
+  running: { met: 9.8, keywords: ['run', 'running', 'treadmill'] },
+  sprinting: { met: 12.0, keywords: ['sprint', 'sprints', 'sprinting'] },
+  cycling: { met: 7.5, keywords: ['cycle', 'cycling', 'bike', 'biking', 'bicycle'] },
+  'indoor cycling': { met: 8.5, keywords: ['spin', 'spinning', 'spin class', 'indoor cycling', 'stationary bike', 'exercise bike'] },
+  swimming: { met: 7.0, keywords: ['swim', 'swimming', 'laps'] },
+  gym: { met: 5.0, keywords: ['gym', 'workout', 'fitness class'] },
+  'weight training': { met: 5.0, keywords: ['weights', 'weight training', 'weightlifting', 'lifting', 'strength', 'strength training', 'resistance training'] },
+  hiit: { met: 8.0, keywords: ['hiit', 'interval training', 'circuit', 'circuits', 'crossfit', 'bootcamp'] },
+  yoga: { met: 2.5, keywords: ['yoga', 'hatha'] },
+  'power yoga': { met: 4.0, keywords: ['power yoga', 'vinyasa', 'ashtanga', 'hot yoga'] },
+  pilates: { met: 3.0, keywords: ['pilates'] },
+  stretching: { met: 2.3, keywords: ['stretch', 'stretching', 'mobility'] },
+  rowing: { met: 7.0, keywords: ['row', 'rowing', 'rower', 'erg'] },
+  elliptical: { met: 5.0, keywords: ['elliptical', 'cross trainer', 'cross-trainer'] },
+  'stair climbing': { met: 9.0, keywords: ['stairs', 'stair climbing', 'stairmaster', 'stair machine', 'step machine'] },
+  dancing: { met: 5.0, keywords: ['dance', 'dancing', 'salsa', 'ballet'] },
+  aerobics: { met: 7.3, keywords: ['aerobics', 'zumba', 'step aerobics'] },
+  football: { met: 7.0, keywords: ['football', 'soccer', 'futsal'] },
+  basketball: { met: 6.5, keywords: ['basketball'] },
+  tennis: { met: 7.3, keywords: ['tennis', 'squash', 'padel'] },
+  badminton: { met: 5.5, keywords: ['badminton'] },
+  boxing: { met: 7.8, keywords: ['boxing', 'kickboxing', 'muay thai'] },
+  'martial arts': { met: 10.3, keywords: ['martial arts', 'karate', 'judo', 'taekwondo', 'jiu jitsu', 'jiu-jitsu', 'bjj', 'mma'] },
+  climbing: { met: 8.0, keywords: ['climb', 'climbing', 'bouldering'] },
+  golf: { met: 4.8, keywords: ['golf'] }
+};
+
+// Activity names that mean no exercise that day
+const REST_ACTIVITY_NAMES = ['rest', 'rest day', 'none', 'off', ''];
+
+// Same ceiling the weekly-exercise endpoint accepts for one day
+const MAX_DAILY_ACTIVITY_CALORIES = 2000;
+
+// Entered calories are flagged outside this multiple of the MET estimate
+const PLAUSIBLE_CALORIE_RATIO = { min: 0.5, max: 1.75 };
+
+const activityKeywordIndex = Object.entries(ACTIVITY_METS)
+  .flatMap(([activity, { met, keywords }]) => keywords.map(keyword => ({
+    activity,
+    met,
+    keywordLength: keyword.length,
+    regex: new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i')
+  })))
+  .sort((a, b) => b.keywordLength - a.keywordLength);
+
+const isRestActivity = activityName => REST_ACTIVITY_NAMES.includes(String(activityName || '').trim().toLowerCase());
+
+/**
+ * Find the MET entry for a free-text activity name
+ * Returns { activity, met } or null when the activity is not recognised
+ */
+const findActivityMet = activityName => {
+  const match = activityKeywordIndex.find(({ regex }) => regex.test(String(activityName || '')));
+  return match ? { activity: match.activity, met: match.met } : null;
+};
+
+/**
+ * Estimate the calories an activity burns on top of resting metabolism
+ * Net calories = (MET - 1) x weight (kg) x hours; the resting 1 MET is already in the BMR.
+ * Returns { activity, met, calories, plausibleRange } or null when the activity is not recognised
+ */
+const estimateActivityCalories = (activityName, durationMinutes, weightKg) => {
+  const match = findActivityMet(activityName);
+  if (!match) return null;
+
+  const calories = Math.min(
+    MAX_DAILY_ACTIVITY_CALORIES,
+    Math.round((match.met - 1) * weightKg * (durationMinutes / 60))
+  );
+
+  return {
+    ...match,
+    calories,
+    plausibleRange: {
+      min: Math.round(calories * PLAUSIBLE_CALORIE_RATIO.min),
+      max: Math.round(calories * PLAUSIBLE_CALORIE_RATIO.max)
+    }
+  };
+};
+
+/**
+ * Compare entered calories with an estimate
+ * Returns { plausible, reason } where reason is 'too-high', 'too-low' or null
+ */
+const checkEnteredCalories = (entered, estimate) => {
+  if (entered > estimate.plausibleRange.max) return { plausible: false, reason: 'too-high' };
+  if (entered < estimate.plausibleRange.min) return { plausible: false, reason: 'too-low' };
+  return { plausible: true, reason: null };
+};
+
+// ============================================
+// ENERGY EQUATIONS
+// ============================================
+
+// Resting energy equations (kcal/day). Katch-McArdle works from lean body mass,
+// so it needs a body-fat percentage.
+const BMR_FORMULAS = {
+  'mifflin-st-jeor': ({ weight, height, age, male }) =>
+    (10 * weight) + (6.25 * height) - (5 * age) + (male ? 5 : -161),
+  // Roza & Shizgal (1984) revision
+  'harris-benedict': ({ weight, height, age, male }) => male
+    ? 88.362 + (13.397 * weight) + (4.799 * height) - (5.677 * age)
+    : 447.593 + (9.247 * weight) + (3.098 * height) - (4.330 * age),
+  'katch-mcardle': ({ leanMassKg }) => 370 + (21.6 * leanMassKg)
+};
+
+const DEFAULT_BMR_FORMULA = 'mifflin-st-jeor';
+
+// Multipliers on BMR for everyday movement (job, commute, chores). Logged exercise from
+// weeklyActivity is added on top, so these stay below the usual all-in PAL factors.
+const LIFESTYLE_ACTIVITY_FACTORS = {
+  sedentary: 1.2,
+  'lightly-active': 1.3,
+  'moderately-active': 1.4,
+  'very-active': 1.5
+};
+
+// Users who never chose a lifestyleActivity keep plain BMR, as before lifestyle factors existed
+const UNSET_LIFESTYLE_FACTOR = 1;
+const BODY_FAT_RANGE = { min: 3, max: 60 };
+
+const toSettingKey = value => String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+
+/**
+ * Validate the energy equation settings from the profile or a request body
+ * Returns { settings: { bmrFormula, bodyFatPercentage, lifestyleActivity } } or { error }
+ * lifestyleActivity is null when it was never set
+ */
+const resolveEnergySettings = ({ bmrFormula, bodyFatPercentage, lifestyleActivity } = {}) => {
+  const formula = bmrFormula ? toSettingKey(bmrFormula) : DEFAULT_BMR_FORMULA;
+  if (!BMR_FORMULAS[formula]) {
+    return {
+      error: {
+        error: 'Invalid bmrFormula',
+        message: `bmrFormula must be one of: ${Object.keys(BMR_FORMULAS).join(', ')}`
+      }
+    };
+  }
+
+  let bodyFat = null;
+  if (bodyFatPercentage !== undefined && bodyFatPercentage !== null && bodyFatPercentage !== '') {
+    bodyFat = parseFloat(bodyFatPercentage);
+    if (isNaN(bodyFat) || bodyFat < BODY_FAT_RANGE.min || bodyFat > BODY_FAT_RANGE.max) {
+      return {
+        error: {
+          error: 'Invalid bodyFatPercentage',
+          message: `Body fat percentage must be between ${BODY_FAT_RANGE.min} and ${BODY_FAT_RANGE.max}`
+        }
+      };
+    }
+  }
+
+  if (formula === 'katch-mcardle' && bodyFat === null) {
+    return {
+      error: {
+        error: 'Missing bodyFatPercentage',
+        message: 'The katch-mcardle formula needs a body fat percentage'
+      }
+    };
+  }
+
+  const lifestyle = lifestyleActivity ? toSettingKey(lifestyleActivity) : null;
+  if (lifestyle !== null && !LIFESTYLE_ACTIVITY_FACTORS[lifestyle]) {
+    return {
+      error: {
+        error: 'Invalid lifestyleActivity',
+        message: `lifestyleActivity must be one of: ${Object.keys(LIFESTYLE_ACTIVITY_FACTORS).join(', ')}`
+      }
+    };
+  }
+
+  return { settings: { bmrFormula: formula, bodyFatPercentage: bodyFat, lifestyleActivity: lifestyle } };
+};
+
+/**
+ * Resting and baseline daily energy for a person with validated settings
+ * baselineCalories = BMR x lifestyle factor (1 when lifestyleActivity is unset); each day's TDEE adds that day's logged exercise.
+ */
+const calculateEnergyBaseline = ({ weight, height, age, gender }, settings) => {
+  const { bmrFormula, bodyFatPercentage, lifestyleActivity } = settings;
+  const leanMassKg = bodyFatPercentage !== null ? weight * (1 - bodyFatPercentage / 100) : null;
+  const bmr = BMR_FORMULAS[bmrFormula]({
+    weight, height, age, leanMassKg, male: gender.toLowerCase() === 'male'
+  });
+  const activityFactor = lifestyleActivity ? LIFESTYLE_ACTIVITY_FACTORS[lifestyleActivity] : UNSET_LIFESTYLE_FACTOR;
+
+  return {
+    formula: bmrFormula,
+    bodyFatPercentage,
+    leanMassKg: leanMassKg !== null ? Math.round(leanMassKg * 10) / 10 : null,
+    bmr: Math.round(bmr),
+    lifestyleActivity,
+    activityFactor,
+    baselineCalories: Math.round(bmr * activityFactor)
+  };
+};
+
+// ============================================
+// WEIGHT GOALS
+// ============================================
+
+// Fixed daily adjustments used when the user has no targetWeight
+const GOAL_CALORIE_ADJUSTMENTS = {
+  'lose weight': -550,
+  'gain muscle': 250,
+  'maintain': 0
+};
+
+const KCAL_PER_KG = 7700;
+const WEEKLY_RATE_RANGE = { min: 0.25, max: 1 };
+const DEFAULT_WEEKLY_RATE_KG = { 'lose weight': 0.5, 'gain muscle': 0.25 };
+// Safe limits on the daily deficit or surplus, whatever weekly rate is asked for
+const MAX_DAILY_DEFICIT = 1000;
+const MAX_DAILY_SURPLUS = 500;
+// Within this distance of the target the goal counts as reached
+const TARGET_WEIGHT_TOLERANCE_KG = 0.5;
+
+/**
+ * Validate targetWeight and weeklyRateKg when provided
+ * Returns the 400 response body, or null when the values are usable
+ */
+const validateWeightGoalSettings = ({ targetWeight, weeklyRateKg }) => {
+  if (targetWeight !== undefined && targetWeight !== null && targetWeight !== '') {
+    const target = parseFloat(targetWeight);
+    if (isNaN(target) || target < 30 || target > 300) {
+      return { error: 'Invalid targetWeight', message: 'Target weight must be a number between 30 and 300 kg' };
+    }
+  }
+  if (weeklyRateKg !== undefined && weeklyRateKg !== null && weeklyRateKg !== '') {
+    const rate = parseFloat(weeklyRateKg);
+    if (isNaN(rate) || rate < WEEKLY_RATE_RANGE.min || rate > WEEKLY_RATE_RANGE.max) {
+      return {
+        error: 'Invalid weeklyRateKg',
+        message: `weeklyRateKg must be between ${WEEKLY_RATE_RANGE.min} and ${WEEKLY_RATE_RANGE.max} kg per week`
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Work out the daily calorie adjustment for a goal
+ * Without a targetWeight the fixed GOAL_CALORIE_ADJUSTMENTS apply and weightGoal is null.
+ * With one, the deficit or surplus comes from the weekly rate, bounded by the safe limits, and a
+ * lose/gain goal switches to 'maintain' once the target is reached (or passed).
+ * Returns { goal, calorieAdjustment, weightGoal } or { error }
+ */
+const resolveWeightGoal = ({ weight, goal, targetWeight, weeklyRateKg }) => {
+  const settingsError = validateWeightGoalSettings({ targetWeight, weeklyRateKg });
+  if (settingsError) {
+    return { error: settingsError };
+  }
+
+  const goalKey = String(goal || '').toLowerCase();
+  if (targetWeight === undefined || targetWeight === null || targetWeight === '') {
+    return { goal, calorieAdjustment: GOAL_CALORIE_ADJUSTMENTS[goalKey] ?? 0, weightGoal: null };
+  }
+
+  const target = parseFloat(targetWeight);
+  const remainingKg = Math.round((target - weight) * 10) / 10;
+  const weightGoal = {
+    currentWeight: weight,
+    targetWeight: target,
+    remainingKg,
+    status: 'maintaining',
+    requestedWeeklyRateKg: null,
+    dailyCalorieAdjustment: 0,
+    limitedBy: null
+  };
+
+  const losing = goalKey === 'lose weight';
+  const gaining = goalKey === 'gain muscle';
+  if (!losing && !gaining) {
+    return { goal, calorieAdjustment: 0, weightGoal };
+  }
+
+  // Passing the target also counts as reaching it
+  if ((losing && remainingKg >= -TARGET_WEIGHT_TOLERANCE_KG) || (gaining && remainingKg <= TARGET_WEIGHT_TOLERANCE_KG)) {
+    return { goal: 'maintain', calorieAdjustment: 0, weightGoal: { ...weightGoal, status: 'reached', previousGoal: goal } };
+  }
+
+  const rate = weeklyRateKg !== undefined && weeklyRateKg !== null && weeklyRateKg !== ''
+    ? parseFloat(weeklyRateKg)
+    : DEFAULT_WEEKLY_RATE_KG[goalKey];
+  const dailyChange = Math.round((rate * KCAL_PER_KG) / 7);
+  const maxChange = losing ? MAX_DAILY_DEFICIT : MAX_DAILY_SURPLUS;
+  const calorieAdjustment = (losing ? -1 : 1) * Math.min(dailyChange, maxChange);
+
+  return {
+    goal,
+    calorieAdjustment,
+    weightGoal: {
+      ...weightGoal,
+      status: 'in-progress',
+      requestedWeeklyRateKg: rate,
+      dailyCalorieAdjustment: calorieAdjustment,
+      limitedBy: dailyChange > maxChange ? (losing ? 'max-deficit' : 'max-surplus') : null
+    }
+  };
+};
+
+/**
+ * Project when an in-progress weight goal is reached from the plan's actual daily targets
+ * Calorie floors can shrink the deficit, so the rate comes from targets minus TDEE rather than the
+ * requested rate. estimatedGoalDate is null when the targets do not move weight towards the goal.
+ * It is counted from startDate (YYYY-MM-DD, default today in UTC), the first day of the plan.
+ */
+const projectWeightGoal = (weightGoal, dailyTargetDetails, dailyTDEE, startDate = new Date().toISOString().slice(0, 10)) => {
+  if (!weightGoal || weightGoal.status !== 'in-progress') return weightGoal;
+
+  const weeklyBalance = DAYS_OF_WEEK.reduce((sum, day) => sum + dailyTargetDetails[day].calories - dailyTDEE[day], 0);
+  const projectedWeeklyChangeKg = Math.round((weeklyBalance / KCAL_PER_KG) * 100) / 100;
+  const movingTowardsTarget = Math.sign(projectedWeeklyChangeKg) === Math.sign(weightGoal.remainingKg);
+
+  let estimatedWeeks = null;
+  let estimatedGoalDate = null;
+  if (movingTowardsTarget) {
+    estimatedWeeks = Math.ceil(Math.abs(weightGoal.remainingKg / projectedWeeklyChangeKg));
+    estimatedGoalDate = addDaysToDate(startDate, estimatedWeeks * 7);
+  }
+
+  return { ...weightGoal, projectedWeeklyChangeKg, estimatedWeeks, estimatedGoalDate };
+};
+
+// ============================================
+// MACRO TARGETS
+// ============================================
+
+// Default protein/carbs/fat calorie shares for each goal
+const GOAL_MACRO_SPLITS = {
+  'lose weight': { protein: 0.4, carbs: 0.35, fat: 0.25 },
+  'gain muscle': { protein: 0.3, carbs: 0.45, fat: 0.25 },
+  'maintain': { protein: 0.4, carbs: 0.3, fat: 0.3 }
+};
+
+const MACRO_PRESETS = {
+  balanced: { protein: 0.3, carbs: 0.4, fat: 0.3 },
+  'high-protein': { protein: 0.4, carbs: 0.3, fat: 0.3 },
+  keto: { protein: 0.25, carbs: 0.05, fat: 0.7 }
+};
+
+const MACRO_SHARE_RANGE = { min: 0.05, max: 0.8 };
+// Shares may be off 100% by this much (e.g. 33/33/33)
+const MACRO_SUM_TOLERANCE = 0.01;
+const GRAMS_PER_KG_RANGES = {
+  protein: { min: 0.8, max: 3 },
+  fat: { min: 0.5, max: 2 }
+};
+
+const getGoalMacroSplit = goal => ({ ...(GOAL_MACRO_SPLITS[String(goal || '').toLowerCase()] || GOAL_MACRO_SPLITS.maintain) });
+
+/**
+ * Validate a protein/carbs/fat split given as fractions (0.3) or percentages (30)
+ * Percentages are recognised when the values add up to about 100.
+ * Returns { split } in fractions, or { error }
+ */
+const normaliseMacroSplit = ({ protein, carbs, fat } = {}) => {
+  const values = [protein, carbs, fat].map(value => parseFloat(value));
+  if (values.some(value => isNaN(value) || value < 0)) {
+    return { error: { error: 'Invalid macro split', message: 'protein, carbs and fat must all be non-negative numbers' } };
+  }
+
+  const total = values.reduce((sum, value) => sum + value, 0);
+  const scale = total > 1 + MACRO_SUM_TOLERANCE ? 100 : 1;
+  const [p, c, f] = values.map(value => Math.round((value / scale) * 1000) / 1000);
+
+  // Compared in tenths of a percent so 0.33 x 3 is not rejected by float error
+  const sum = Math.round((p + c + f) * 1000);
+  if (Math.abs(sum - 1000) > MACRO_SUM_TOLERANCE * 1000) {
+    return {
+      error: {
+        error: 'Invalid macro split',
+        message: `protein, carbs and fat must add up to 100% (got ${sum / 10}%)`
+      }
+    };
+  }
+  if ([p, c, f].some(share => share < MACRO_SHARE_RANGE.min || share > MACRO_SHARE_RANGE.max)) {
+    return {
+      error: {
+        error: 'Invalid macro split',
+        message: `Each macro must be between ${MACRO_SHARE_RANGE.min * 100}% and ${MACRO_SHARE_RANGE.max * 100}% of calories`
+      }
+    };
+  }
+
+  return { split: { protein: p, carbs: c, fat: f } };
+};
+
+/**
+ * Turn protein and fat targets in g/kg body weight into calorie shares; carbs take the rest
+ * `calories` is the daily intake the shares are based on.
+ * Returns { split, grams } or { error }
+ */
+const gramsPerKgToMacroSplit = (gramsPerKg, weight, calories) => {
+  for (const [macro, range] of Object.entries(GRAMS_PER_KG_RANGES)) {
+    const value = parseFloat(gramsPerKg?.[macro]);
+    if (isNaN(value) || value < range.min || value > range.max) {
+      return {
+        error: {
+          error: 'Invalid gramsPerKg',
+          message: `gramsPerKg.${macro} must be between ${range.min} and ${range.max} g per kg of body weight`
+        }
+      };
+    }
+  }
+
+  const grams = {
+    protein: Math.round(parseFloat(gramsPerKg.protein) * weight),
+    fat: Math.round(parseFloat(gramsPerKg.fat) * weight)
+  };
+  const protein = Math.round(((grams.protein * 4) / calories) * 1000) / 1000;
+  const fat = Math.round(((grams.fat * 9) / calories) * 1000) / 1000;
+  const carbs = Math.round((1 - protein - fat) * 1000) / 1000;
+  grams.carbs = Math.round((calories * carbs) / 4);
+
+  if (carbs < MACRO_SHARE_RANGE.min) {
+    return {
+      error: {
+        error: 'Invalid gramsPerKg',
+        message: `Protein and fat would take ${Math.round((protein + fat) * 100)}% of ${calories} kcal, leaving too little for carbs`
+      }
+    };
+  }
+
+  const { split, error } = normaliseMacroSplit({ protein, carbs, fat });
+  return error ? { error } : { split, grams };
+};
+
+/**
+ * Custom split stored on the user doc
+ * Older profiles may hold whole percentages (40 instead of 0.4), which are converted.
+ * Returns { split } (null when unset) or { error } when the stored values are unusable
+ */
+const getStoredMacroSplit = userData => {
+  const { proteinPercentage, carbsPercentage, fatPercentage } = userData;
+  if (proteinPercentage == null || carbsPercentage == null || fatPercentage == null) return { split: null };
+
+  const { split, error } = normaliseMacroSplit({ protein: proteinPercentage, carbs: carbsPercentage, fat: fatPercentage });
+  if (error) {
+    return {
+      error: {
+        error: 'Invalid stored macro split',
+        message: `${error.message}. Set new macro targets with PUT /users/:userId/macro-targets, or reset them`
+      }
+    };
+  }
+  return { split };
+};
+
+// Carb cycling: carb share multiplier for each day's training load, before the week is rebalanced
+const MACRO_STRATEGIES = ['fixed', 'cycling'];
+const CARB_CYCLING_MULTIPLIERS = { rest: 0.7, low: 0.85, medium: 1.1, high: 1.3 };
+// Fat never drops below this share on high-carb days
+const MIN_CYCLING_FAT_SHARE = 0.15;
+
+/**
+ * Validate a macroStrategy value; unset means 'fixed'
+ * Returns { strategy } or { error }
+ */
+const resolveMacroStrategy = value => {
+  if (value === undefined || value === null || value === '') return { strategy: 'fixed' };
+  const strategy = String(value).trim().toLowerCase();
+  if (!MACRO_STRATEGIES.includes(strategy)) {
+    return { error: { error: 'Invalid macroStrategy', message: `macroStrategy must be one of: ${MACRO_STRATEGIES.join(', ')}` } };
+  }
+  return { strategy };
+};
+
+/**
+ * Carb cycling: move carbs towards high-demand days and fat towards rest days
+ * Each day keeps its calories and protein share. Multipliers are rescaled (a few rounds, as days hitting the
+ * carb or fat bounds drop out) so the week's carbs, and so its fat, match a fixed split; medical macro limits
+ * still apply to each day.
+ * Updates the grams in dailyTargetDetails, adds each day's trainingLoad and macroSplit, and returns the
+ * summary stored on the plan
+ */
+const applyCarbCycling = (dailyTargetDetails, activityCaloriesByDay, split, macroLimits) => {
+  const days = Object.keys(dailyTargetDetails);
+  const loadOf = day => (activityCaloriesByDay[day] > 0 ? dailyTargetDetails[day].fuelingDemandCategory : 'rest');
+  const minCarbs = Math.min(split.carbs, MACRO_SHARE_RANGE.min);
+  const maxCarbs = Math.max(split.carbs, 1 - split.protein - MIN_CYCLING_FAT_SHARE);
+
+  const weeklyCarbCalories = days.reduce((sum, day) => sum + dailyTargetDetails[day].calories * split.carbs, 0);
+  const carbShares = {};
+  let scale = 1;
+  for (let round = 0; round < 5; round++) {
+    let total = 0;
+    let adjustable = 0;
+    days.forEach(day => {
+      const wanted = split.carbs * CARB_CYCLING_MULTIPLIERS[loadOf(day)] * scale;
+      carbShares[day] = Math.min(maxCarbs, Math.max(minCarbs, wanted));
+      const carbCalories = dailyTargetDetails[day].calories * carbShares[day];
+      total += carbCalories;
+      if (carbShares[day] === wanted) adjustable += carbCalories;
+    });
+    if (Math.abs(total - weeklyCarbCalories) < 1 || adjustable === 0) break;
+    scale *= 1 + (weeklyCarbCalories - total) / adjustable;
+  }
+
+  const multipliers = {};
+  days.forEach(day => {
+    const targets = dailyTargetDetails[day];
+    const trainingLoad = loadOf(day);
+    const carbs = carbShares[day];
+    multipliers[day] = Math.round(carbs / split.carbs * 1000) / 1000;
+
+    const daySplit = applyMacroLimits({ protein: split.protein, carbs, fat: 1 - split.protein - carbs }, macroLimits);
+
+    targets.proteinGrams = Math.round((targets.calories * daySplit.protein) / 4);
+    targets.carbsGrams = Math.round((targets.calories * daySplit.carbs) / 4);
+    targets.fatGrams = Math.round((targets.calories * daySplit.fat) / 9);
+    targets.trainingLoad = trainingLoad;
+    targets.macroSplit = {
+      protein: Math.round(daySplit.protein * 1000) / 1000,
+      carbs: Math.round(daySplit.carbs * 1000) / 1000,
+      fat: Math.round(daySplit.fat * 1000) / 1000
+    };
+  });
+
+  return { strategy: 'cycling', baseSplit: split, carbMultipliers: multipliers };
+};
+
+// ============================================
+// COOKING TIME LIMITS
+// ============================================
+
+// Per-recipe limits used when the user has not set their own
+const DEFAULT_COOKING_TIME_LIMITS = { maxPrepMinutes: 30, maxCookMinutes: 60 };
+const COOKING_TIME_RANGES = {
+  maxPrepMinutes: { min: 5, max: 240 },
+  maxCookMinutes: { min: 0, max: 480 }
+};
+const WEEKEND_DAYS = ['Saturday', 'Sunday'];
+
+/**
+ * Resolve stored or requested cooking time limits into weekday and weekend limits
+ * Top-level maxPrepMinutes/maxCookMinutes apply to both; `weekday` and `weekend` objects override them.
+ * Returns { limits: { weekday, weekend } } or { error }
+ */
+const resolveCookingTimeLimits = (settings = {}) => {
+  if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { error: { error: 'Invalid cookingTimeLimits', message: 'cookingTimeLimits must be an object, e.g. { "maxPrepMinutes": 20 }' } };
+  }
+
+  const limits = {};
+  for (const period of ['weekday', 'weekend']) {
+    const periodSettings = settings[period] ?? {};
+    if (typeof periodSettings !== 'object' || Array.isArray(periodSettings)) {
+      return { error: { error: 'Invalid cookingTimeLimits', message: `${period} must be an object, e.g. { "maxCookMinutes": 90 }` } };
+    }
+
+    limits[period] = {};
+    for (const [field, range] of Object.entries(COOKING_TIME_RANGES)) {
+      const value = periodSettings[field] ?? settings[field];
+      if (value === undefined || value === null || value === '') {
+        limits[period][field] = DEFAULT_COOKING_TIME_LIMITS[field];
+        continue;
+      }
+
+      const minutes = parseInt(value);
+      if (isNaN(minutes) || minutes < range.min || minutes > range.max) {
+        return {
+          error: {
+            error: 'Invalid cookingTimeLimits',
+            message: `${field} must be between ${range.min} and ${range.max} minutes`
+          }
+        };
+      }
+      limits[period][field] = minutes;
+    }
+  }
+
+  return { limits };
+};
+
+const getDayCookingTimeLimits = (limits, day) => limits[WEEKEND_DAYS.includes(day) ? 'weekend' : 'weekday'];
+
+/**
+ * Plan-level kitchen time: each day's prep and cooking minutes added up across its meals
+ * Batch-cooked leftovers only need reheating, so they add no time.
+ */
+const summariseKitchenTime = (days, limits) => {
+  const summary = { limits, days: {}, weeklyTotalMinutes: 0 };
+
+  for (const day of DAYS_OF_WEEK) {
+    const totals = { prepMinutes: 0, cookMinutes: 0 };
+    getDayMealEntries(days?.[day]).forEach(([, meal]) => {
+      if (isLeftoverMeal(meal)) return;
+      totals.prepMinutes += Number(meal.preparation) || 0;
+      totals.cookMinutes += Number(meal.cooking) || 0;
+    });
+    const totalMinutes = totals.prepMinutes + totals.cookMinutes;
+
+    summary.days[day] = { ...totals, totalMinutes };
+    summary.weeklyTotalMinutes += totalMinutes;
+  }
+
+  return summary;
+};
+
+/**
+ * Optional maxPrepMinutes / maxCookMinutes filters for the recipe list and search endpoints
+ * Returns { filters } holding only the limits that were given, or { error }
+ */
+const resolveCookingTimeFilters = source => {
+  const filters = {};
+  for (const [field, range] of Object.entries(COOKING_TIME_RANGES)) {
+    const value = source?.[field];
+    if (value === undefined || value === null || value === '') continue;
+
+    const minutes = parseInt(value);
+    if (isNaN(minutes) || minutes < range.min || minutes > range.max) {
+      return { error: { error: `Invalid ${field}`, message: `${field} must be between ${range.min} and ${range.max} minutes` } };
+    }
+    filters[field] = minutes;
+  }
+  return { filters };
+};
+
+/**
+ * Recipe fits the time filters; its times are read from the `Times` text
+ */
+const fitsCookingTimeFilters = (data, filters) => isValidRecipe(
+  parseTime(cleanObjectKeys(data).Times),
+  { maxPrepMinutes: Infinity, maxCookMinutes: Infinity, ...filters }
+);
+
+/**
+ * Cooking time limits a plan was built with; plans from before custom limits used the defaults
+ */
+const getPlanCookingTimeLimits = plan => plan.kitchenTime?.limits || resolveCookingTimeLimits().limits;
+
 // ============================================
 // SUBSCRIPTION TIER DEFINITIONS
 // ============================================
@@ -367,8 +1036,10 @@ const SUBSCRIPTION_TIERS = {
     duration: 7,
     durationUnit: 'days',
     planGenerationQuota: 1,
+    dayRegenerationLimit: 2,
     features: [
       '1 nutrition plan generation',
+      '2 day regenerations per plan',
       '7 days full access',
       'All app features included',
       'Shopping list generation'
@@ -384,8 +1055,10 @@ const SUBSCRIPTION_TIERS = {
     duration: 1,
     durationUnit: 'months',
     planGenerationQuota: 4,
+    dayRegenerationLimit: 7,
     features: [
       '4 nutrition plan generations per month',
+      '7 day regenerations per plan',
       'Continuous access',
       'All app features included',
       'Shopping list generation',
@@ -403,8 +1076,10 @@ const SUBSCRIPTION_TIERS = {
     duration: 3,
     durationUnit: 'months',
     planGenerationQuota: 12,
+    dayRegenerationLimit: 14,
     features: [
       '12 nutrition plan generations (4 per month)',
+      '14 day regenerations per plan',
       'Best value - 16.7% savings',
       'Continuous access',
       'All app features included',
@@ -546,6 +1221,9 @@ router.get('/recipes/count', async (req, res) => {
  *   - limit: number of recipes to return (default: 20, max: 100)
  *   - offset: number of recipes to skip (default: 0)
  *   - search: optional search term for recipe titles
+ *   - preference: optional comma-separated diets (vegetarian, vegan, pescatarian, gluten-free, halal)
+ *   - maxPrepMinutes / maxCookMinutes: optional time limits
+ * Recipes come from the recipe cache; filters run over the whole collection before pagination
  */
 router.get('/recipes/:mealType', async (req, res) => {
   try {
@@ -553,6 +1231,11 @@ router.get('/recipes/:mealType', async (req, res) => {
     const limit = Math.min(parseInt(req.query.limit) || 20, 100);
     const offset = parseInt(req.query.offset) || 0;
     const searchTerm = req.query.search;
+    const { diets, unrecognised } = normaliseDietaryPreferences(req.query.preference);
+    const { filters: timeFilters, error: timeFilterError } = resolveCookingTimeFilters(req.query);
+    if (timeFilterError) {
+      return res.status(400).json(timeFilterError);
+    }
 
     // Validate meal type
     const validMealTypes = ['breakfast', 'lunch', 'dinner', 'snack'];
@@ -563,24 +1246,21 @@ router.get('/recipes/:mealType', async (req, res) => {
       });
     }
 
+    // Served from the recipe cache, so anonymous browsing does not read the collection on every request
     const collectionName = `${mealType.toLowerCase()}_list_full_may2025`;
-    let query = db.collection(collectionName);
+    const cachedRecipes = await fetchRecipesCached(collectionName);
 
-    // Add search filter if provided (simple title search)
-    if (searchTerm) {
-      // Note: This is a simple contains search. For production, consider using 
-      // Cloud Firestore full-text search or Algolia integration
-      query = query.where('Title', '>=', searchTerm)
-                   .where('Title', '<=', searchTerm + '\uf8ff');
-    }
-
-    // Apply pagination
-    const snapshot = await query.limit(limit).offset(offset).get();
+    // Title prefix search, in title order like the Firestore range query it replaces
+    const fetchedRecipes = searchTerm
+      ? cachedRecipes
+        .filter(recipe => recipe.Title.startsWith(searchTerm))
+        .sort((a, b) => (a.Title < b.Title ? -1 : a.Title > b.Title ? 1 : 0))
+      : cachedRecipes;
 
-    const recipes = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    // Diet and time filters run before pagination, so every page is full until the last
+    const dietRecipes = filterRecipesByDiet(fetchedRecipes, diets);
+    const matchingRecipes = dietRecipes.filter(recipe => fitsCookingTimeFilters(recipe, timeFilters));
+    const recipes = matchingRecipes.slice(offset, offset + limit);
 
     res.json({
       success: true,
@@ -588,6 +1268,12 @@ router.get('/recipes/:mealType', async (req, res) => {
       count: recipes.length,
       limit,
       offset,
+      totalMatching: matchingRecipes.length,
+      preference: diets,
+      ignoredPreferences: unrecognised,
+      excludedByPreference: fetchedRecipes.length - dietRecipes.length,
+      timeFilters,
+      excludedByTime: dietRecipes.length - matchingRecipes.length,
       recipes
     });
   } catch (error) {
@@ -640,47 +1326,146 @@ router.get('/recipes/:mealType/:recipeId', async (req, res) => {
   }
 });
 
-// ============================================
-// USER MANAGEMENT ENDPOINTS
-// ============================================
-
 /**
- * POST /users/register
- * Register a new user with BASIC information only
- * Creates Firebase Auth user and basic profile in Firestore
- * 
- * Phase 1 of registration - collects only essential user info
- * 
- * IMPORTANT: Uses lowercase field names (name, email, password, mobile, address)
+ * POST /activity/estimate-calories
+ * Estimate the calories an activity burns from the MET table
+ * Public endpoint. Weight comes from the body, or from the profile when a Firebase token is sent
+ * Body: activityName, duration (minutes), weight (kg, optional), calories (optional - checked for plausibility)
  */
-router.post('/users/register', async (req, res) => {
-  let userRecord = null; // Track created user for cleanup if needed
-  
+router.post('/activity/estimate-calories', async (req, res) => {
   try {
-    const {
-      name,
-      email,
-      mobile,
-      address,
-      password
-    } = req.body;
+    const { activityName, duration, calories } = req.body || {};
+    let weight = parseFloat(req.body?.weight);
 
-    // Check if developer is using OLD uppercase field names and provide helpful guidance
-    if (req.body.NAME || req.body.EMAIL || req.body.PASSKEY || req.body.MOBILE || req.body.ADDRESS) {
+    if (!activityName || typeof activityName !== 'string') {
       return res.status(400).json({
-        error: 'Invalid field names',
-        message: 'API uses lowercase field names. Please update your request.',
-        hint: 'Use: name, email, password, mobile, address (all lowercase)',
-        receivedFields: Object.keys(req.body),
-        expectedFields: ['name', 'email', 'password', 'mobile', 'address'],
-        documentation: 'See API_DOCUMENTATION.md for complete field reference'
+        error: 'Missing activityName',
+        message: 'activityName is required, e.g. "Running"'
       });
     }
 
-    // Validate required fields with clear guidance
-    const missingFields = [];
-    if (!name) missingFields.push('name');
-    if (!email) missingFields.push('email');
+    const parsedDuration = parseInt(duration);
+    if (isNaN(parsedDuration) || parsedDuration <= 0 || parsedDuration > 300) {
+      return res.status(400).json({
+        error: 'Invalid duration',
+        message: 'Duration must be between 1 and 300 minutes'
+      });
+    }
+
+    // Check for optional authentication to use the stored weight
+    const authHeader = req.headers.authorization;
+    if (!weight && authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const decodedToken = await admin.auth().verifyIdToken(authHeader.replace('Bearer ', ''));
+        const userDoc = await db.collection('users').doc(decodedToken.uid).get();
+        weight = parseFloat(userDoc.exists ? userDoc.data().weight : NaN);
+      } catch (authError) {
+        console.log('Optional auth failed for /activity/estimate-calories:', authError.message);
+      }
+    }
+
+    if (!weight || weight < 30 || weight > 300) {
+      return res.status(400).json({
+        error: 'Invalid weight',
+        message: 'Send weight in kg (30-300), or a Bearer token for a profile with a stored weight'
+      });
+    }
+
+    if (isRestActivity(activityName)) {
+      return res.json({
+        success: true,
+        activityName,
+        matchedActivity: 'rest',
+        met: 1,
+        duration: parsedDuration,
+        weight,
+        estimatedCalories: 0
+      });
+    }
+
+    const estimate = estimateActivityCalories(activityName, parsedDuration, weight);
+    if (!estimate) {
+      return res.status(400).json({
+        error: 'Unknown activity',
+        message: `No MET value for "${activityName}"`,
+        knownActivities: Object.keys(ACTIVITY_METS)
+      });
+    }
+
+    const response = {
+      success: true,
+      activityName,
+      matchedActivity: estimate.activity,
+      met: estimate.met,
+      duration: parsedDuration,
+      weight,
+      estimatedCalories: estimate.calories,
+      plausibleRange: estimate.plausibleRange,
+      method: 'Net calories: (MET - 1) x weight (kg) x hours'
+    };
+
+    if (calories !== undefined && calories !== null && calories !== '') {
+      const enteredCalories = parseInt(calories);
+      if (isNaN(enteredCalories) || enteredCalories < 0) {
+        return res.status(400).json({
+          error: 'Invalid calories',
+          message: 'Calories must be a positive number'
+        });
+      }
+      response.check = { enteredCalories, ...checkEnteredCalories(enteredCalories, estimate) };
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error estimating activity calories:', error);
+    res.status(500).json({
+      error: 'Failed to estimate activity calories',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// USER MANAGEMENT ENDPOINTS
+// ============================================
+
+/**
+ * POST /users/register
+ * Register a new user with BASIC information only
+ * Creates Firebase Auth user and basic profile in Firestore
+ * 
+ * Phase 1 of registration - collects only essential user info
+ * 
+ * IMPORTANT: Uses lowercase field names (name, email, password, mobile, address)
+ */
+router.post('/users/register', async (req, res) => {
+  let userRecord = null; // Track created user for cleanup if needed
+  
+  try {
+    const {
+      name,
+      email,
+      mobile,
+      address,
+      password
+    } = req.body;
+
+    // Check if developer is using OLD uppercase field names and provide helpful guidance
+    if (req.body.NAME || req.body.EMAIL || req.body.PASSKEY || req.body.MOBILE || req.body.ADDRESS) {
+      return res.status(400).json({
+        error: 'Invalid field names',
+        message: 'API uses lowercase field names. Please update your request.',
+        hint: 'Use: name, email, password, mobile, address (all lowercase)',
+        receivedFields: Object.keys(req.body),
+        expectedFields: ['name', 'email', 'password', 'mobile', 'address'],
+        documentation: 'See API_DOCUMENTATION.md for complete field reference'
+      });
+    }
+
+    // Validate required fields with clear guidance
+    const missingFields = [];
+    if (!name) missingFields.push('name');
+    if (!email) missingFields.push('email');
     if (!password) missingFields.push('password');
     if (!mobile) missingFields.push('mobile');
     if (!address) missingFields.push('address');
@@ -1271,9 +2056,25 @@ router.get('/users/:userId/profile', verifyFirebaseAuth, async (req, res) => {
   }
 });
 
+// Plan settings that are validated by their own endpoints, so the profile update cannot store them unchecked
+const PROFILE_MANAGED_FIELDS = {
+  proteinPercentage: 'PUT /users/:userId/macro-targets',
+  carbsPercentage: 'PUT /users/:userId/macro-targets',
+  fatPercentage: 'PUT /users/:userId/macro-targets',
+  macroTargets: 'PUT /users/:userId/macro-targets',
+  macroStrategy: 'PUT /users/:userId/macro-targets',
+  cookingTimeLimits: 'PUT /users/:userId/cooking-time-limits',
+  batchCooking: 'PUT /users/:userId/cooking-time-limits',
+  preferenceWeight: 'PUT /users/:userId/diet-information',
+  guidelineProfile: 'PUT /users/:userId/diet-information',
+  nutrientCaps: 'PUT /users/:userId/diet-information',
+  fasting: 'PUT /users/:userId/fasting'
+};
+
 /**
  * PUT /users/:userId/profile
  * Update user profile data - accepts any field from request
+ * except the plan settings in PROFILE_MANAGED_FIELDS
  * Requires Firebase Auth
  * 
  * Note: Use phase-specific endpoints for phase data:
@@ -1309,6 +2110,15 @@ router.put('/users/:userId/profile', verifyFirebaseAuth, async (req, res) => {
       });
     }
 
+    const managedFields = Object.keys(updateData).filter(field => PROFILE_MANAGED_FIELDS[field]);
+    if (managedFields.length > 0) {
+      return res.status(400).json({
+        error: 'Fields not accepted',
+        message: `${managedFields.join(', ')} must be set with their own endpoints`,
+        endpoints: Object.fromEntries(managedFields.map(field => [field, PROFILE_MANAGED_FIELDS[field]]))
+      });
+    }
+
     // Validate specific fields if provided
     if (updateData.gender && !['male', 'female'].includes(updateData.gender.toLowerCase())) {
       return res.status(400).json({
@@ -1338,6 +2148,40 @@ router.put('/users/:userId/profile', verifyFirebaseAuth, async (req, res) => {
       });
     }
 
+    // Energy equation settings are checked together, so katch-mcardle can use the stored body fat
+    const energyFields = ['bmrFormula', 'bodyFatPercentage', 'lifestyleActivity'];
+    if (energyFields.some(field => updateData[field] !== undefined)) {
+      const storedUser = (await db.collection('users').doc(userId).get()).data() || {};
+      const { settings: energySettings, error: energyError } = resolveEnergySettings({
+        bmrFormula: updateData.bmrFormula ?? storedUser.bmrFormula,
+        bodyFatPercentage: updateData.bodyFatPercentage ?? storedUser.bodyFatPercentage,
+        lifestyleActivity: updateData.lifestyleActivity ?? storedUser.lifestyleActivity
+      });
+      if (energyError) {
+        return res.status(400).json(energyError);
+      }
+      energyFields
+        .filter(field => updateData[field] !== undefined)
+        .forEach(field => { updateData[field] = energySettings[field]; });
+    }
+
+    const weightGoalError = validateWeightGoalSettings(updateData);
+    if (weightGoalError) {
+      return res.status(400).json(weightGoalError);
+    }
+    ['targetWeight', 'weeklyRateKg']
+      .filter(field => updateData[field] !== undefined && updateData[field] !== null && updateData[field] !== '')
+      .forEach(field => { updateData[field] = parseFloat(updateData[field]); });
+
+    // Plan dates and the current plan day are worked out in this timezone
+    if (updateData.timezone !== undefined) {
+      const { timezone, error: timezoneError } = resolveTimezone(updateData.timezone);
+      if (timezoneError) {
+        return res.status(400).json(timezoneError);
+      }
+      updateData.timezone = timezone;
+    }
+
     // Remove registrationComplete flag to prevent accidental changes
     delete updateData.registrationComplete;
     delete updateData.registrationSteps;
@@ -1400,7 +2244,12 @@ router.put('/users/:userId/diet-information', verifyFirebaseAuth, async (req, re
       preferredEatingTimes,
       snackHabits,
       foodDislikes,
-      willingness
+      willingness,
+      guidelineProfile,
+      nutrientCaps,
+      targetWeight,
+      weeklyRateKg,
+      preferenceWeight
     } = req.body;
 
     // Validate required fields
@@ -1440,6 +2289,56 @@ router.put('/users/:userId/diet-information', verifyFirebaseAuth, async (req, re
       });
     }
 
+    // Validate preferred eating times (if provided) - plan generation schedules meals from these
+    if (preferredEatingTimes !== undefined && preferredEatingTimes !== null) {
+      let times;
+      try {
+        times = validateArrayField(preferredEatingTimes, 'preferredEatingTimes');
+      } catch (validationError) {
+        times = [];
+      }
+      const invalidTimes = times.filter(t => !TIME_OF_DAY_REGEX.test(t));
+      if (invalidTimes.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid preferredEatingTimes',
+          message: 'Eating times must use 24-hour HH:MM format',
+          invalidValues: invalidTimes,
+          schema: getDietInformationSchema()
+        });
+      }
+    }
+
+    // Validate daily nutrient caps (if provided) - plan generation keeps sugars, salt and saturates under these
+    const hasCapSettings = (guidelineProfile !== undefined && guidelineProfile !== null) ||
+      (nutrientCaps !== undefined && nutrientCaps !== null);
+    const { caps: resolvedCaps, error: capsError } = resolveNutrientCaps(guidelineProfile, nutrientCaps);
+    if (hasCapSettings && capsError) {
+      return res.status(400).json({
+        ...capsError,
+        validProfiles: Object.keys(NUTRIENT_CAP_PROFILES),
+        schema: getDietInformationSchema()
+      });
+    }
+
+    // Validate target weight and weekly rate (if provided) - plan generation derives the calorie adjustment from them
+    const weightGoalError = validateWeightGoalSettings({ targetWeight, weeklyRateKg });
+    if (weightGoalError) {
+      return res.status(400).json({
+        ...weightGoalError,
+        schema: getDietInformationSchema()
+      });
+    }
+
+    // Validate preference weight (if provided) - how strongly plan generation favours liked foods and cuisines
+    const hasPreferenceWeight = preferenceWeight !== undefined && preferenceWeight !== null && preferenceWeight !== '';
+    const { profile: preferenceProfile, error: preferenceError } = resolveFoodPreferences({ preferenceWeight });
+    if (hasPreferenceWeight && preferenceError) {
+      return res.status(400).json({
+        ...preferenceError,
+        schema: getDietInformationSchema()
+      });
+    }
+
     // Validate and convert array fields
     let validatedPreference = [];
     let validatedAllergies = [];
@@ -1498,6 +2397,16 @@ router.put('/users/:userId/diet-information', verifyFirebaseAuth, async (req, re
       snackHabits: validatedSnackHabits,
       foodDislikes: validatedFoodDislikes,
       willingness: validatedWillingness,
+      ...(guidelineProfile && { guidelineProfile: resolvedCaps.profile }),
+      // Only the nutrients the user set; the rest follow the guideline profile
+      ...(nutrientCaps && {
+        nutrientCaps: Object.fromEntries(Object.keys(CAPPED_NUTRIENTS)
+          .filter(nutrient => nutrientCaps[nutrient] !== undefined && nutrientCaps[nutrient] !== null)
+          .map(nutrient => [nutrient, resolvedCaps[nutrient]]))
+      }),
+      ...(targetWeight && { targetWeight: parseFloat(targetWeight) }),
+      ...(weeklyRateKg && { weeklyRateKg: parseFloat(weeklyRateKg) }),
+      ...(hasPreferenceWeight && { preferenceWeight: preferenceProfile.weight }),
       'registrationSteps.dietInfo': true,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     };
@@ -1557,7 +2466,10 @@ router.put('/users/:userId/health-information', verifyFirebaseAuth, async (req,
       gender,
       age,
       height,
-      weight
+      weight,
+      bmrFormula,
+      bodyFatPercentage,
+      lifestyleActivity
     } = req.body;
 
     // Validate required fields for nutrition plan generation
@@ -1629,6 +2541,22 @@ router.put('/users/:userId/health-information', verifyFirebaseAuth, async (req,
       });
     }
 
+    // Validate energy equation settings (if provided) - used for BMR and baseline calories
+    // Missing values come from the profile, so katch-mcardle can use the stored body fat
+    const energyProvided = [bmrFormula, bodyFatPercentage, lifestyleActivity].some(value => value !== undefined);
+    const storedUser = energyProvided ? (await db.collection('users').doc(userId).get()).data() || {} : {};
+    const { settings: energySettings, error: energyError } = resolveEnergySettings({
+      bmrFormula: bmrFormula ?? storedUser.bmrFormula,
+      bodyFatPercentage: bodyFatPercentage ?? storedUser.bodyFatPercentage,
+      lifestyleActivity: lifestyleActivity ?? storedUser.lifestyleActivity
+    });
+    if (energyError) {
+      return res.status(400).json({
+        ...energyError,
+        schema: getHealthInformationSchema()
+      });
+    }
+
     // Validate and convert array fields
     let validatedMedicalConditions = [];
     let validatedAllergies = [];
@@ -1661,6 +2589,8 @@ router.put('/users/:userId/health-information', verifyFirebaseAuth, async (req,
     const healthInfo = {
       medicalConditions: validatedMedicalConditions,
       allergies: validatedAllergies,
+      // diet-information also writes `allergies`, so keep a copy it cannot overwrite
+      medicalAllergies: validatedAllergies,
       smokingHabit: smokingHabit || '',
       sleepDuration: sleepDuration ? parseFloat(sleepDuration) : null,
       stressLevel: stressLevel || '',
@@ -1673,6 +2603,9 @@ router.put('/users/:userId/health-information', verifyFirebaseAuth, async (req,
       age: parsedAge,
       height: parsedHeight,
       weight: parsedWeight,
+      ...(bmrFormula && { bmrFormula: energySettings.bmrFormula }),
+      ...(bodyFatPercentage !== undefined && bodyFatPercentage !== null && bodyFatPercentage !== '' && { bodyFatPercentage: energySettings.bodyFatPercentage }),
+      ...(lifestyleActivity && { lifestyleActivity: energySettings.lifestyleActivity }),
       'registrationSteps.healthInfo': true,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     };
@@ -1841,6 +2774,13 @@ router.put('/users/:userId/weekly-exercise', verifyFirebaseAuth, async (req, res
     const validatedWeeklyActivity = {};
     let totalWeeklyCalories = 0;
 
+    // Stored weight drives the MET estimates for days without calories
+    const userDoc = await db.collection('users').doc(userId).get();
+    const weightKg = parseFloat(userDoc.exists ? userDoc.data().weight : NaN) || 0;
+    const estimatedDays = [];
+    const notEstimated = [];
+    const calorieWarnings = [];
+
     // Validate and process each day
     for (const day of daysOfWeek) {
       const activity = weeklyActivity[day];
@@ -1858,7 +2798,8 @@ router.put('/users/:userId/weekly-exercise', verifyFirebaseAuth, async (req, res
       // Validate activity structure
       const activityName = activity.activityName || 'Rest';
       const duration = parseInt(activity.duration) || 0;
-      const calories = parseInt(activity.calories) || 0;
+      const caloriesEntered = activity.calories !== undefined && activity.calories !== null && activity.calories !== '';
+      let calories = parseInt(activity.calories) || 0;
 
       if (duration < 0 || duration > 300) {
         return res.status(400).json({
@@ -1867,17 +2808,48 @@ router.put('/users/:userId/weekly-exercise', verifyFirebaseAuth, async (req, res
         });
       }
 
-      if (calories < 0 || calories > 2000) {
+      if (calories < 0 || calories > MAX_DAILY_ACTIVITY_CALORIES) {
         return res.status(400).json({
           error: `Invalid calories for ${day}`,
-          message: 'Calories must be between 0 and 2000'
+          message: `Calories must be between 0 and ${MAX_DAILY_ACTIVITY_CALORIES}`
+        });
+      }
+
+      const isActive = !isRestActivity(activityName) && duration > 0;
+      const estimate = isActive && weightKg > 0 ? estimateActivityCalories(activityName, duration, weightKg) : null;
+      const check = caloriesEntered && estimate ? checkEnteredCalories(calories, estimate) : null;
+      let caloriesSource = caloriesEntered ? 'entered' : 'none';
+
+      if (!caloriesEntered && estimate) {
+        // Fill in omitted calories from the MET table
+        calories = estimate.calories;
+        caloriesSource = 'estimated';
+        estimatedDays.push(day);
+      } else if (!caloriesEntered && isActive) {
+        notEstimated.push({ day, activityName, reason: weightKg > 0 ? 'unknown-activity' : 'weight-missing' });
+      } else if (check && !check.plausible) {
+        // Entered calories are kept, but flagged when far from the estimate
+        calorieWarnings.push({
+          day,
+          activityName,
+          duration,
+          enteredCalories: calories,
+          estimatedCalories: estimate.calories,
+          plausibleRange: estimate.plausibleRange,
+          reason: check.reason
         });
       }
 
       validatedWeeklyActivity[day] = {
         activityName,
         duration,
-        calories
+        calories,
+        caloriesSource,
+        ...(estimate && {
+          estimatedCalories: estimate.calories,
+          met: estimate.met,
+          caloriesPlausible: check ? check.plausible : true
+        })
       };
 
       totalWeeklyCalories += calories;
@@ -1897,6 +2869,10 @@ router.put('/users/:userId/weekly-exercise', verifyFirebaseAuth, async (req, res
       message: 'Weekly exercise schedule updated successfully. Registration complete!',
       registrationComplete: true,
       totalWeeklyCalories: totalWeeklyCalories,
+      weeklyActivity: validatedWeeklyActivity,
+      estimatedDays,
+      notEstimated,
+      calorieWarnings,
       nextStep: 'You can now generate your personalized nutrition plan',
       schema: getWeeklyExerciseSchema()
     });
@@ -1910,107 +2886,467 @@ router.put('/users/:userId/weekly-exercise', verifyFirebaseAuth, async (req, res
   }
 });
 
-// ============================================
-// STRIPE PAYMENT ENDPOINTS
-// ============================================
-
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || require('firebase-functions').config().stripe?.secret_key);
-
 /**
- * POST /payments/create-checkout
- * Create Stripe checkout session for subscription
+ * PUT /users/:userId/macro-targets
+ * Set the protein/carbs/fat split used by plan generation
+ * Send exactly one of:
+ *   preset      - 'balanced', 'high-protein' or 'keto'
+ *   percentages - { protein, carbs, fat } as fractions (0.3) or percentages (30), adding up to 100%
+ *   gramsPerKg  - { protein, fat } per kg of body weight; carbs take the remaining calories
+ *   reset: true - remove the custom split and go back to the goal-based defaults
+ * macroStrategy ('fixed' or 'cycling') can be sent with any of them, or on its own to keep the current split.
  * Requires Firebase Auth
  */
-router.post('/payments/create-checkout', verifyFirebaseAuth, async (req, res) => {
+router.put('/users/:userId/macro-targets', verifyFirebaseAuth, async (req, res) => {
   try {
-    const uid = req.uid;
-    const { email, priceId } = req.body;
+    const { userId } = req.params;
 
-    if (!email) {
+    if (req.uid !== userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only update your own macro targets'
+      });
+    }
+
+    const { preset, percentages, gramsPerKg, reset, macroStrategy } = req.body;
+    const modes = [preset !== undefined, percentages !== undefined, gramsPerKg !== undefined, reset === true];
+    const modeCount = modes.filter(Boolean).length;
+    if (modeCount > 1 || (modeCount === 0 && macroStrategy === undefined)) {
       return res.status(400).json({
-        error: 'Email is required'
+        error: 'Invalid macro targets',
+        message: 'Send exactly one of preset, percentages, gramsPerKg or reset: true, and/or macroStrategy',
+        presets: MACRO_PRESETS,
+        strategies: MACRO_STRATEGIES,
+        example: { percentages: { protein: 30, carbs: 40, fat: 30 } }
       });
     }
 
-    const userDoc = await db.collection('users').doc(uid).get();
+    const { strategy, error: strategyError } = resolveMacroStrategy(macroStrategy);
+    if (macroStrategy !== undefined && strategyError) {
+      return res.status(400).json({ ...strategyError, strategies: MACRO_STRATEGIES });
+    }
+    // A strategy sent with the split is saved with it; reset on its own also goes back to a fixed split
+    const strategyUpdate = macroStrategy !== undefined
+      ? { macroStrategy: strategy }
+      : (reset ? { macroStrategy: admin.firestore.FieldValue.delete() } : {});
+
+    const userRef = db.collection('users').doc(userId);
+    const userDoc = await userRef.get();
+    if (!userDoc.exists) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No user found with this ID'
+      });
+    }
     const userData = userDoc.data();
 
-    let customerId = userData?.stripeCustomerId;
+    if (modeCount === 0) {
+      await userRef.update({
+        ...strategyUpdate,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
 
-    // Create Stripe customer if doesn't exist
-    if (!customerId) {
-      const customer = await stripe.customers.create({
-        email: email,
-        metadata: { firebaseUID: uid }
+      const { split: storedSplit, error: storedSplitError } = getStoredMacroSplit(userData);
+      return res.json({
+        success: true,
+        message: `Macro strategy set to ${strategy}. New nutrition plans will use it.`,
+        macroStrategy: strategy,
+        macroTargets: storedSplit
+          ? { ...userData.macroTargets, split: storedSplit }
+          : { mode: 'goal-default', goal: userData.goal || null, split: getGoalMacroSplit(userData.goal) },
+        ...(storedSplitError && { storedSplitError })
       });
+    }
 
-      customerId = customer.id;
+    if (reset) {
+      await userRef.update({
+        proteinPercentage: admin.firestore.FieldValue.delete(),
+        carbsPercentage: admin.firestore.FieldValue.delete(),
+        fatPercentage: admin.firestore.FieldValue.delete(),
+        macroTargets: admin.firestore.FieldValue.delete(),
+        ...strategyUpdate,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
 
-      await db.collection('users').doc(uid).set({
-        stripeCustomerId: customerId
-      }, { merge: true });
+      return res.json({
+        success: true,
+        message: 'Macro targets reset to the goal-based defaults',
+        macroStrategy: macroStrategy !== undefined ? strategy : 'fixed',
+        macroTargets: { mode: 'goal-default', goal: userData.goal || null, split: getGoalMacroSplit(userData.goal) }
+      });
     }
 
-    // Create checkout session
-    const session = await stripe.checkout.sessions.create({
-      mode: 'subscription',
-      payment_method_types: ['card'],
-      line_items: [{
-        price: priceId || 'price_1RJx3cDNiU7g4QNyVyT5vujC',
-        quantity: 1
-      }],
-      success_url: req.body.successUrl || 'https://nufit-67bf0.web.app/success.html',
-      cancel_url: req.body.cancelUrl || 'https://nufit-67bf0.web.app/cancel.html',
-      customer: customerId
+    let split;
+    let macroTargets;
+
+    if (preset !== undefined) {
+      const presetName = String(preset).trim().toLowerCase();
+      if (!MACRO_PRESETS[presetName]) {
+        return res.status(400).json({
+          error: 'Invalid preset',
+          message: `preset must be one of: ${Object.keys(MACRO_PRESETS).join(', ')}`,
+          presets: MACRO_PRESETS
+        });
+      }
+      split = { ...MACRO_PRESETS[presetName] };
+      macroTargets = { mode: 'preset', preset: presetName };
+    } else if (percentages !== undefined) {
+      if (!percentages || typeof percentages !== 'object' || Array.isArray(percentages)) {
+        return res.status(400).json({
+          error: 'Invalid percentages',
+          message: 'percentages must be an object, e.g. { "protein": 30, "carbs": 40, "fat": 30 }'
+        });
+      }
+      const { split: normalised, error } = normaliseMacroSplit(percentages);
+      if (error) {
+        return res.status(400).json(error);
+      }
+      split = normalised;
+      macroTargets = { mode: 'percentages' };
+    } else {
+      if (!gramsPerKg || typeof gramsPerKg !== 'object' || Array.isArray(gramsPerKg)) {
+        return res.status(400).json({
+          error: 'Invalid gramsPerKg',
+          message: 'gramsPerKg must be an object, e.g. { "protein": 2, "fat": 1 }'
+        });
+      }
+
+      // Shares are fixed from the user's baseline intake (no exercise), so grams scale up on training days
+      const weight = parseFloat(userData.weight);
+      const height = parseFloat(userData.height);
+      const age = parseInt(userData.age);
+      if (!weight || !height || !age || !['male', 'female'].includes((userData.gender || '').toLowerCase())) {
+        return res.status(400).json({
+          error: 'Missing profile data',
+          message: 'gramsPerKg needs your age, gender, height and weight; complete health information first'
+        });
+      }
+      const { settings: energySettings, error: energyError } = resolveEnergySettings(userData);
+      if (energyError) {
+        return res.status(400).json(energyError);
+      }
+      const { calorieAdjustment, error: weightGoalError } = resolveWeightGoal({
+        weight, goal: userData.goal, targetWeight: userData.targetWeight, weeklyRateKg: userData.weeklyRateKg
+      });
+      if (weightGoalError) {
+        return res.status(400).json(weightGoalError);
+      }
+      const { baselineCalories } = calculateEnergyBaseline({ weight, height, age, gender: userData.gender }, energySettings);
+      const calories = Math.round(baselineCalories + calorieAdjustment);
+
+      const { split: converted, grams, error } = gramsPerKgToMacroSplit(gramsPerKg, weight, calories);
+      if (error) {
+        return res.status(400).json(error);
+      }
+      split = converted;
+      macroTargets = {
+        mode: 'grams-per-kg',
+        gramsPerKg: { protein: parseFloat(gramsPerKg.protein), fat: parseFloat(gramsPerKg.fat) },
+        weightUsed: weight,
+        caloriesUsed: calories,
+        grams
+      };
+    }
+
+    await userRef.update({
+      proteinPercentage: split.protein,
+      carbsPercentage: split.carbs,
+      fatPercentage: split.fat,
+      macroTargets: { ...macroTargets, split },
+      ...strategyUpdate,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
 
     res.json({
       success: true,
-      sessionId: session.id,
-      sessionUrl: session.url
+      message: 'Macro targets updated. New nutrition plans will use this split.',
+      macroStrategy: macroStrategy !== undefined ? strategy : (userData.macroStrategy || 'fixed'),
+      macroTargets: { ...macroTargets, split }
     });
 
   } catch (error) {
-    console.error('Stripe checkout error:', error);
+    console.error('Error updating macro targets:', error);
     res.status(500).json({
-      error: 'Failed to create checkout session',
+      error: 'Failed to update macro targets',
       message: error.message
     });
   }
 });
 
 /**
- * POST /payments/cancel-subscription
- * Cancel user's active subscription
+ * PUT /users/:userId/cooking-time-limits
+ * Set the longest prep and cooking time allowed for recipes in new plans
+ * maxPrepMinutes / maxCookMinutes apply every day; `weekday` and `weekend` objects override them.
+ * batchCooking (true/false) turns leftover lunches from the previous day's dinner on or off.
+ * { reset: true } goes back to the defaults (30 min prep, 60 min cooking, no batch cooking).
  * Requires Firebase Auth
  */
-router.post('/payments/cancel-subscription', verifyFirebaseAuth, async (req, res) => {
+router.put('/users/:userId/cooking-time-limits', verifyFirebaseAuth, async (req, res) => {
   try {
-    const uid = req.uid;
-
-    const userDoc = await db.collection('users').doc(uid).get();
-    const userData = userDoc.data();
+    const { userId } = req.params;
 
-    const subscriptionId = userData?.subscriptionId;
+    if (req.uid !== userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only update your own cooking time limits'
+      });
+    }
 
-    if (!subscriptionId) {
+    const userRef = db.collection('users').doc(userId);
+    const userDoc = await userRef.get();
+    if (!userDoc.exists) {
       return res.status(404).json({
-        error: 'No active subscription found'
+        error: 'User not found',
+        message: 'No user found with this ID'
       });
     }
 
-    // Cancel subscription at period end
-    await stripe.subscriptions.update(subscriptionId, {
-      cancel_at_period_end: false
-    });
+    if (req.body?.reset === true) {
+      await userRef.update({
+        cookingTimeLimits: admin.firestore.FieldValue.delete(),
+        batchCooking: admin.firestore.FieldValue.delete(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
 
-    // Delete subscription immediately
-    await stripe.subscriptions.del(subscriptionId);
+      return res.json({
+        success: true,
+        message: 'Cooking time limits reset to the defaults',
+        cookingTimeLimits: resolveCookingTimeLimits().limits,
+        batchCooking: false
+      });
+    }
 
-    // Update Firestore
-    await db.collection('users').doc(uid).update({
-      subscribed: false,
-      subscriptionId: admin.firestore.FieldValue.delete(),
+    const { maxPrepMinutes, maxCookMinutes, weekday, weekend } = req.body || {};
+    const limitsGiven = [maxPrepMinutes, maxCookMinutes, weekday, weekend].some(value => value !== undefined);
+    if (!limitsGiven && req.body?.batchCooking === undefined) {
+      return res.status(400).json({
+        error: 'No limits provided',
+        message: 'Provide maxPrepMinutes, maxCookMinutes, weekday, weekend or batchCooking, or reset: true',
+        example: { maxPrepMinutes: 20, maxCookMinutes: 30, weekend: { maxPrepMinutes: 45, maxCookMinutes: 120 }, batchCooking: true }
+      });
+    }
+
+    // Settings that are not in the request keep their stored values
+    const userData = userDoc.data();
+
+    const { limits, error } = resolveCookingTimeLimits(limitsGiven
+      ? { maxPrepMinutes, maxCookMinutes, weekday, weekend }
+      : userData.cookingTimeLimits || {});
+    if (error) {
+      return res.status(400).json({ ...error, ranges: COOKING_TIME_RANGES });
+    }
+
+    const { batchCooking, error: batchCookingError } = resolveBatchCooking(req.body?.batchCooking ?? userData.batchCooking);
+    if (batchCookingError) {
+      return res.status(400).json(batchCookingError);
+    }
+
+    await userRef.update({
+      ...(limitsGiven && { cookingTimeLimits: limits }),
+      ...(req.body?.batchCooking !== undefined && { batchCooking }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({
+      success: true,
+      message: 'Cooking time limits updated. New nutrition plans will use them.',
+      cookingTimeLimits: limits,
+      batchCooking
+    });
+
+  } catch (error) {
+    console.error('Error updating cooking time limits:', error);
+    res.status(500).json({
+      error: 'Failed to update cooking time limits',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /users/:userId/fasting
+ * Set a fasting mode for new plans: 16:8 or 18:6 with an eatingWindowStart, or Ramadan with a
+ * location (latitude, longitude, utcOffsetHours) or fixed suhoorTime and iftarTime.
+ * { mode: 'off' } or { reset: true } turns fasting off.
+ * Requires Firebase Auth
+ */
+router.put('/users/:userId/fasting', verifyFirebaseAuth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.uid !== userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only update your own fasting settings'
+      });
+    }
+
+    const userRef = db.collection('users').doc(userId);
+    const userDoc = await userRef.get();
+    if (!userDoc.exists) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No user found with this ID'
+      });
+    }
+
+    const { mode, reset } = req.body || {};
+
+    if (reset === true || mode === 'off') {
+      await userRef.update({
+        fasting: admin.firestore.FieldValue.delete(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return res.json({
+        success: true,
+        message: 'Fasting mode turned off',
+        fasting: null
+      });
+    }
+
+    if (mode === undefined || mode === null) {
+      return res.status(400).json({
+        error: 'Missing mode',
+        message: `Provide mode (${Object.keys(FASTING_PRESETS).join(', ')} or off), or reset: true`,
+        example: { mode: 'ramadan', latitude: 25.2, longitude: 55.27, utcOffsetHours: 4 }
+      });
+    }
+
+    const { fasting, error } = resolveFastingSettings(req.body);
+    if (error) {
+      return res.status(400).json({ ...error, presets: FASTING_PRESETS });
+    }
+
+    // Stored as settings; dates and Ramadan times are worked out when a plan is generated
+    let settings = { mode: fasting.mode };
+    if (fasting.eatingWindow) settings.eatingWindowStart = fasting.eatingWindow.start;
+    else if (fasting.location) settings = { ...settings, ...fasting.location };
+    else settings = { ...settings, suhoorTime: fasting.suhoorTime, iftarTime: fasting.iftarTime };
+
+    await userRef.update({
+      fasting: settings,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({
+      success: true,
+      message: 'Fasting mode updated. New nutrition plans will use it.',
+      fasting: settings,
+      // Eating times for the coming week
+      days: Object.fromEntries(DAYS_OF_WEEK.map(day => [day, getFastingDayTimes(fasting, day)]))
+    });
+
+  } catch (error) {
+    console.error('Error updating fasting settings:', error);
+    res.status(500).json({
+      error: 'Failed to update fasting settings',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// STRIPE PAYMENT ENDPOINTS
+// ============================================
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || require('firebase-functions').config().stripe?.secret_key);
+
+/**
+ * POST /payments/create-checkout
+ * Create Stripe checkout session for subscription
+ * Requires Firebase Auth
+ */
+router.post('/payments/create-checkout', verifyFirebaseAuth, async (req, res) => {
+  try {
+    const uid = req.uid;
+    const { email, priceId } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Email is required'
+      });
+    }
+
+    const userDoc = await db.collection('users').doc(uid).get();
+    const userData = userDoc.data();
+
+    let customerId = userData?.stripeCustomerId;
+
+    // Create Stripe customer if doesn't exist
+    if (!customerId) {
+      const customer = await stripe.customers.create({
+        email: email,
+        metadata: { firebaseUID: uid }
+      });
+
+      customerId = customer.id;
+
+      await db.collection('users').doc(uid).set({
+        stripeCustomerId: customerId
+      }, { merge: true });
+    }
+
+    // Create checkout session
+    const session = await stripe.checkout.sessions.create({
+      mode: 'subscription',
+      payment_method_types: ['card'],
+      line_items: [{
+        price: priceId || 'price_1RJx3cDNiU7g4QNyVyT5vujC',
+        quantity: 1
+      }],
+      success_url: req.body.successUrl || 'https://nufit-67bf0.web.app/success.html',
+      cancel_url: req.body.cancelUrl || 'https://nufit-67bf0.web.app/cancel.html',
+      customer: customerId
+    });
+
+    res.json({
+      success: true,
+      sessionId: session.id,
+      sessionUrl: session.url
+    });
+
+  } catch (error) {
+    console.error('Stripe checkout error:', error);
+    res.status(500).json({
+      error: 'Failed to create checkout session',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /payments/cancel-subscription
+ * Cancel user's active subscription
+ * Requires Firebase Auth
+ */
+router.post('/payments/cancel-subscription', verifyFirebaseAuth, async (req, res) => {
+  try {
+    const uid = req.uid;
+
+    const userDoc = await db.collection('users').doc(uid).get();
+    const userData = userDoc.data();
+
+    const subscriptionId = userData?.subscriptionId;
+
+    if (!subscriptionId) {
+      return res.status(404).json({
+        error: 'No active subscription found'
+      });
+    }
+
+    // Cancel subscription at period end
+    await stripe.subscriptions.update(subscriptionId, {
+      cancel_at_period_end: false
+    });
+
+    // Delete subscription immediately
+    await stripe.subscriptions.del(subscriptionId);
+
+    // Update Firestore
+    await db.collection('users').doc(uid).update({
+      subscribed: false,
+      subscriptionId: admin.firestore.FieldValue.delete(),
       currentPeriodEnd: admin.firestore.FieldValue.delete()
     });
 
@@ -2295,6 +3631,140 @@ router.post('/admin/plan-generation-reset', validateApiKey, async (req, res) =>
   }
 });
 
+/**
+ * Compare a stored plan with a replay of it
+ * Meals changed later by swaps or day regenerations are flagged as edited rather than treated as drift
+ */
+const comparePlanContent = (stored, replayed) => {
+  const editedSlots = new Set((stored.swapHistory || []).map(entry => `${entry.day}/${entry.mealType}`));
+  const regeneratedDays = new Set((stored.regenerationHistory || []).map(entry => entry.day));
+
+  const targetDifferences = [];
+  const days = [...new Set([...Object.keys(stored.dailyTargetDetails || {}), ...Object.keys(replayed.dailyTargetDetails || {})])];
+  days.forEach(day => {
+    ['calories', 'proteinGrams', 'carbsGrams', 'fatGrams'].forEach(field => {
+      const storedValue = stored.dailyTargetDetails?.[day]?.[field];
+      const replayedValue = replayed.dailyTargetDetails?.[day]?.[field];
+      if (storedValue !== replayedValue) {
+        targetDifferences.push({ day, field, stored: storedValue ?? null, replayed: replayedValue ?? null });
+      }
+    });
+  });
+
+  const mealDifferences = [];
+  const planDays = [...new Set([...Object.keys(stored.days || {}), ...Object.keys(replayed.days || {})])];
+  planDays.forEach(day => {
+    const storedMeals = Object.fromEntries(getDayMealEntries(stored.days?.[day]));
+    const replayedMeals = Object.fromEntries(getDayMealEntries(replayed.days?.[day]));
+    [...new Set([...Object.keys(storedMeals), ...Object.keys(replayedMeals)])].forEach(slot => {
+      const storedMeal = storedMeals[slot];
+      const replayedMeal = replayedMeals[slot];
+      const portion = meal => meal?.portionMultiplier || 1;
+      if (storedMeal?.id !== replayedMeal?.id || portion(storedMeal) !== portion(replayedMeal)) {
+        mealDifferences.push({
+          day,
+          slot,
+          stored: storedMeal ? { id: storedMeal.id, Title: storedMeal.Title, portionMultiplier: portion(storedMeal) } : null,
+          replayed: replayedMeal ? { id: replayedMeal.id, Title: replayedMeal.Title, portionMultiplier: portion(replayedMeal) } : null,
+          edited: regeneratedDays.has(day) || editedSlots.has(`${day}/${slot}`)
+        });
+      }
+    });
+  });
+
+  return {
+    identical: targetDifferences.length === 0 && mealDifferences.every(diff => diff.edited),
+    targetDifferences,
+    mealDifferences
+  };
+};
+
+/**
+ * POST /admin/nutrition-plans/replay
+ * Re-run generation for a saved plan with its stored inputs and seed against the current
+ * recipe catalog, and report any differences. Nothing is saved.
+ * Requires Firebase Auth with the admin custom claim
+ *
+ * Body:
+ *   - userId: owner of the plan
+ *   - planId: plan to replay
+ */
+router.post('/admin/nutrition-plans/replay', verifyFirebaseAuth, verifyAdmin, async (req, res) => {
+  try {
+    const { userId, planId } = req.body;
+
+    if (!userId || !planId) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'userId and planId are required'
+      });
+    }
+
+    const planDoc = await db.collection('users').doc(userId).collection('nutritionPlans').doc(planId).get();
+
+    if (!planDoc.exists) {
+      return res.status(404).json({
+        error: 'Nutrition plan not found',
+        message: `No plan ${planId} found for user ${userId}`
+      });
+    }
+
+    const plan = planDoc.data();
+
+    if (plan.seed == null || !plan.generationInputs) {
+      return res.status(400).json({
+        error: 'Plan cannot be replayed',
+        message: 'This plan was generated before seeds and generation inputs were stored'
+      });
+    }
+
+    // Read the catalog straight from Firestore so the replay reflects the current recipes
+    const catalog = {};
+    const loadRecipes = async collection => {
+      if (!catalog[collection]) catalog[collection] = await fetchRecipes(collection);
+      return catalog[collection];
+    };
+
+    const replayed = await buildNutritionPlan(plan.generationInputs, { userId, seed: plan.seed, loadRecipes });
+    const comparison = comparePlanContent(plan, replayed);
+
+    const catalogIds = new Set(Object.values(catalog).flat().map(recipe => recipe.id));
+    const missingFromCatalog = [];
+    Object.entries(plan.days || {}).forEach(([day, dayData]) => {
+      getDayMealEntries(dayData).forEach(([slot, meal]) => {
+        if (meal.id && !catalogIds.has(meal.id)) {
+          missingFromCatalog.push({ day, slot, id: meal.id, Title: meal.Title || null });
+        }
+      });
+    });
+
+    res.json({
+      success: true,
+      userId,
+      planId,
+      seed: plan.seed,
+      algorithmVersion: {
+        stored: plan.algorithmVersion || null,
+        current: PLAN_ALGORITHM_VERSION,
+        matches: plan.algorithmVersion === PLAN_ALGORITHM_VERSION
+      },
+      ...comparison,
+      missingFromCatalog,
+      replayedPlan: {
+        dailyTargetDetails: replayed.dailyTargetDetails,
+        days: replayed.days
+      }
+    });
+
+  } catch (error) {
+    console.error('Error replaying nutrition plan:', error);
+    res.status(500).json({
+      error: 'Failed to replay nutrition plan',
+      message: error.message
+    });
+  }
+});
+
 /**
  * PUT /users/:userId/subscription
  * Update user subscription details
@@ -2556,7 +4026,9 @@ router.put('/users/:userId/subscription', verifyFirebaseAuth, async (req, res) =
  *   - mealTypes: array of meal types to search
  *   - maxCalories: maximum calories
  *   - minCalories: minimum calories
- *   - allergies: array of allergens to exclude
+ *   - allergies: array of allergens to exclude (groups such as "nuts" or "shellfish", or specific ingredients)
+ *   - preference: array of diets to enforce (vegetarian, vegan, pescatarian, gluten-free, halal)
+ *   - maxPrepMinutes / maxCookMinutes: per-recipe time limits
  *   - limit: number of results (max 50)
  */
 router.post('/recipes/search', validateApiKey, async (req, res) => {
@@ -2566,9 +4038,19 @@ router.post('/recipes/search', validateApiKey, async (req, res) => {
       maxCalories,
       minCalories,
       allergies = [],
+      preference = [],
       limit = 20
     } = req.body;
 
+    const { diets, unrecognised } = normaliseDietaryPreferences(preference);
+    const allergenProfile = resolveAllergies(allergies);
+    const excluded = [];
+
+    const { filters: timeFilters, error: timeFilterError } = resolveCookingTimeFilters(req.body);
+    if (timeFilterError) {
+      return res.status(400).json(timeFilterError);
+    }
+
     const validMealTypes = ['breakfast', 'lunch', 'dinner', 'snack'];
     const requestedTypes = mealTypes.filter(type => 
       validMealTypes.includes(type.toLowerCase())
@@ -2583,17 +4065,13 @@ router.post('/recipes/search', validateApiKey, async (req, res) => {
     const searchLimit = Math.min(parseInt(limit) || 20, 50);
     const allRecipes = [];
 
-    // Fetch from each requested meal type collection
+    // Filter each requested meal type's whole cached collection, then cut the results to searchLimit
     for (const mealType of requestedTypes) {
       const collectionName = `${mealType.toLowerCase()}_list_full_may2025`;
-      const snapshot = await db.collection(collectionName)
-        .limit(searchLimit)
-        .get();
+      const recipes = await fetchRecipesCached(collectionName);
 
-      snapshot.docs.forEach(doc => {
-        const data = doc.data();
-        const calories = parseFloat(data.Calories) || 0;
-        const ingredients = (data.Ingredients || '').toLowerCase();
+      recipes.forEach(({ id, ...data }) => {
+        const calories = data.Calories;
 
         // Apply filters
         let matches = true;
@@ -2603,16 +4081,21 @@ router.post('/recipes/search', validateApiKey, async (req, res) => {
         if (minCalories && calories < minCalories) matches = false;
 
         // Allergy filters
-        if (allergies.length > 0) {
-          const hasAllergen = allergies.some(allergen => 
-            ingredients.includes(allergen.toLowerCase())
-          );
-          if (hasAllergen) matches = false;
+        const allergenHit = matches ? findRecipeAllergen(data, allergenProfile) : null;
+        if (allergenHit) {
+          matches = false;
+          excluded.push({ id, Title: data.Title || null, ...allergenHit });
         }
 
+        // Dietary preference filters
+        if (matches && findDietViolation(data, diets)) matches = false;
+
+        // Cooking time filters
+        if (matches && !fitsCookingTimeFilters(data, timeFilters)) matches = false;
+
         if (matches) {
           allRecipes.push({
-            id: doc.id,
+            id,
             mealType,
             ...data
           });
@@ -2623,6 +4106,13 @@ router.post('/recipes/search', validateApiKey, async (req, res) => {
     res.json({
       success: true,
       count: allRecipes.length,
+      preference: diets,
+      ignoredPreferences: unrecognised,
+      timeFilters,
+      allergens: allergenProfile,
+      excludedCount: excluded.length,
+      excludedByAllergen: countExclusionsByAllergen(excluded),
+      excluded: excluded.slice(0, MAX_REPORTED_ALLERGEN_EXCLUSIONS),
       recipes: allRecipes.slice(0, searchLimit)
     });
   } catch (error) {
@@ -2697,10 +4187,15 @@ router.get('/users/:userId/nutrition-plans', verifyFirebaseAuth, async (req, res
       .limit(limit)
       .get();
 
-    const plans = plansQuery.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    // Plans saved before nutrition summaries were stored get theirs computed on the fly
+    const plans = plansQuery.docs.map(doc => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        ...data,
+        achieved: data.achieved || summarisePlanNutrition(data)
+      };
+    });
 
     res.json({
       success: true,
@@ -2720,17 +4215,92 @@ router.get('/users/:userId/nutrition-plans', verifyFirebaseAuth, async (req, res
   }
 });
 
-// ============================================
-// NUTRITION PLAN GENERATION
-// ============================================
+/**
+ * GET /users/:userId/nutrition-plans/:planId/today
+ * The plan day for today's date in the user's timezone (or the plan's, when the user has none)
+ * Plans from before calendar dates are matched by weekday while they are current.
+ * Requires Firebase Auth
+ */
+router.get('/users/:userId/nutrition-plans/:planId/today', verifyFirebaseAuth, async (req, res) => {
+  try {
+    const { userId, planId } = req.params;
 
-// Helper functions from index.js
-function cleanObjectKeys(obj) {
-  const cleanedObj = {};
-  for (const key in obj) {
-    if (Object.prototype.hasOwnProperty.call(obj, key)) {
-      const cleanedKey = key.replace(/\[.*?\]/g, '').trim();
-      cleanedObj[cleanedKey] = obj[key];
+    if (req.uid !== userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only access your own nutrition plans'
+      });
+    }
+
+    const [userDoc, planDoc] = await Promise.all([
+      db.collection('users').doc(userId).get(),
+      db.collection('users').doc(userId).collection('nutritionPlans').doc(planId).get()
+    ]);
+
+    if (!planDoc.exists) {
+      return res.status(404).json({
+        error: 'Nutrition plan not found'
+      });
+    }
+
+    const plan = planDoc.data();
+    const { timezone } = resolveTimezone(userDoc.exists ? userDoc.data().timezone : null);
+    const zone = timezone
+      ? { timezone, utcOffsetHours: null }
+      : { timezone: plan.calendar?.timezone || null, utcOffsetHours: plan.calendar?.utcOffsetHours ?? 0 };
+    const now = new Date();
+    const today = getLocalDate(now, zone);
+
+    let day;
+    if (plan.calendar) {
+      day = plan.calendar.days.find(entry => entry.date === today)?.weekday;
+    } else {
+      const started = !plan.planStartDate || new Date(plan.planStartDate) <= now;
+      const ended = plan.planEndDate && new Date(plan.planEndDate) <= now;
+      day = started && !ended ? getWeekdayOf(today) : undefined;
+    }
+
+    if (!day || !plan.days?.[day]) {
+      return res.status(404).json({
+        error: 'Date outside plan',
+        message: `The plan does not cover ${today}`,
+        date: today,
+        timezone: describeZone(zone),
+        planStartDate: plan.calendar?.startDate || plan.planStartDate || null,
+        planEndDate: plan.calendar?.endDate || plan.planEndDate || null
+      });
+    }
+
+    res.json({
+      success: true,
+      planId,
+      date: today,
+      day,
+      timezone: describeZone(zone),
+      targets: plan.dailyTargetDetails?.[day] || null,
+      meals: Object.fromEntries(getDayMealEntries(plan.days[day])),
+      kitchenTime: plan.kitchenTime?.days?.[day] || null
+    });
+  } catch (error) {
+    console.error('Error fetching today\'s plan day:', error);
+    res.status(500).json({
+      error: 'Failed to fetch today\'s plan day',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// NUTRITION PLAN GENERATION
+// ============================================
+
+// Helper functions from index.js
+function cleanObjectKeys(obj) {
+  const cleanedObj = {};
+  for (const key in obj) {
+    if (Object.prototype.hasOwnProperty.call(obj, key)) {
+      const cleanedKey = key.replace(/\[.*?\]/g, '').trim();
+      cleanedObj[cleanedKey] = obj[key];
     }
   }
   return cleanedObj;
@@ -2808,378 +4378,3506 @@ async function parseRecipeFields(recipe) {
     servings: parsedServings
   };
 
-  if (typeof parsedRecipe.Calories !== 'number' || isNaN(parsedRecipe.Calories)) {
-    parsedRecipe.Calories = 0;
+  if (typeof parsedRecipe.Calories !== 'number' || isNaN(parsedRecipe.Calories)) {
+    parsedRecipe.Calories = 0;
+  }
+
+  return parsedRecipe;
+}
+
+/**
+ * Recipe fits the per-recipe prep and cooking time limits (the defaults, or the user's for that day)
+ */
+const isValidRecipe = (recipe, timeLimits = DEFAULT_COOKING_TIME_LIMITS) => {
+  const prepTime = recipe.preparation;
+  const cookTime = recipe.cooking;
+  return typeof prepTime === 'number' && !isNaN(prepTime) && prepTime <= timeLimits.maxPrepMinutes &&
+         typeof cookTime === 'number' && !isNaN(cookTime) && cookTime <= timeLimits.maxCookMinutes;
+};
+
+// Recipe cache — 6-month TTL. Recipes are static; this eliminates the full
+// Firestore collection scan on every plan generation request.
+const RECIPE_CACHE_TTL_MS = 6 * 30 * 24 * 60 * 60 * 1000; // ~6 months
+const recipeCache = {};
+
+const fetchRecipes = async collection => {
+  const snap = await db.collection(collection).get();
+  const parsedRecipesPromises = snap.docs.map(doc => {
+    const rawRecipe = { id: doc.id, ...doc.data() };
+    return parseRecipeFields(rawRecipe);
+  });
+  return Promise.all(parsedRecipesPromises);
+};
+
+const fetchRecipesCached = async collection => {
+  const now = Date.now();
+  const cached = recipeCache[collection];
+  if (cached && (now - cached.ts) < RECIPE_CACHE_TTL_MS) {
+    return cached.data;
+  }
+  console.log(`[RecipeCache] Cache miss for "${collection}". Fetching from Firestore...`);
+  const data = await fetchRecipes(collection);
+  recipeCache[collection] = { data, ts: now };
+  console.log(`[RecipeCache] Cached ${data.length} recipes for "${collection}".`);
+  return data;
+};
+
+const shuffleArray = (arr, random = Math.random) => {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+};
+
+// Bump when a change to the pipeline would alter plans built from the same inputs and seed
+const PLAN_ALGORITHM_VERSION = '2.5.0';
+
+/**
+ * Random 32-bit seed for a new plan
+ */
+const generatePlanSeed = () => crypto.randomInt(0, 2 ** 32);
+
+/**
+ * Seeded PRNG (mulberry32) returning floats in [0, 1) like Math.random
+ * The same seed always produces the same sequence, so a plan can be rebuilt exactly
+ */
+const createSeededRandom = seed => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const filterRecipes = (recipes, allergies, dislikes) => {
+  // Allergies resolve into allergen groups (e.g. "nuts" covers almonds and peanuts); dislikes are plain substrings
+  const allergenProfile = resolveAllergies(allergies);
+  const dislikeArray = Array.isArray(dislikes) ? dislikes : (dislikes ? [dislikes] : []);
+  
+  return recipes.filter(recipe => {
+    const ing = (recipe.Ingredients || '').toLowerCase();
+    return !findRecipeAllergen(recipe, allergenProfile) &&
+           !dislikeArray.some(d => ing.includes(String(d).toLowerCase()));
+  });
+};
+
+// ============================================
+// DIETARY PREFERENCES
+// ============================================
+
+/**
+ * Ingredient taxonomy used to classify recipes
+ * terms are matched on word boundaries (plurals allowed); exceptions are phrases
+ * removed from the ingredient text before matching (e.g. "coconut milk" is not dairy)
+ */
+const INGREDIENT_TAXONOMY = {
+  pork: {
+    terms: ['pork', 'bacon', 'ham', 'gammon', 'pancetta', 'prosciutto', 'parma ham', 'serrano ham', 'chorizo', 'salami',
+      'pepperoni', 'lardon', 'lard', 'guanciale', 'nduja', 'pork sausage', 'black pudding', 'chipolata', 'spare rib'],
+    exceptions: ['turkey bacon', 'turkey ham', 'chicken chorizo', 'beef bacon', 'beef pepperoni', 'chicken ham']
+  },
+  'red-meat': {
+    terms: ['beef', 'steak', 'lamb', 'mutton', 'veal', 'venison', 'goat', 'mince', 'brisket', 'oxtail', 'rabbit',
+      'meatball', 'burger', 'sausage', 'kofta', 'liver', 'kidney'],
+    exceptions: ['kidney bean', 'kidney beans', 'quorn mince', 'soya mince', 'veggie burger', 'bean burger',
+      'turkey mince', 'chicken mince', 'chicken sausage', 'mince pie', "goat's cheese", 'goat’s cheese', 'goats cheese',
+      'goat cheese', "lamb's lettuce", 'lamb’s lettuce']
+  },
+  poultry: {
+    terms: ['chicken', 'turkey', 'duck', 'goose', 'quail', 'poussin', 'pheasant', 'guinea fowl'],
+    exceptions: []
+  },
+  fish: {
+    terms: ['fish', 'salmon', 'tuna', 'cod', 'haddock', 'mackerel', 'sardine', 'anchovy', 'anchovies', 'trout',
+      'sea bass', 'bream', 'pollock', 'hake', 'halibut', 'tilapia', 'kipper', 'monkfish', 'swordfish', 'basa',
+      'sole', 'plaice', 'herring', 'fish sauce', 'worcestershire sauce', 'caesar dressing'],
+    exceptions: ['vegan fish sauce', 'vegetarian worcestershire sauce']
+  },
+  shellfish: {
+    terms: ['prawn', 'shrimp', 'crab', 'lobster', 'mussel', 'clam', 'oyster', 'scallop', 'squid', 'calamari',
+      'octopus', 'crayfish', 'langoustine', 'cockle', 'oyster sauce'],
+    exceptions: ['oyster mushroom', 'oyster mushrooms', 'vegetarian oyster sauce']
+  },
+  dairy: {
+    terms: ['milk', 'butter', 'buttermilk', 'cheese', 'cream', 'yogurt', 'yoghurt', 'ghee', 'whey', 'casein',
+      'parmesan', 'mozzarella', 'cheddar', 'feta', 'ricotta', 'mascarpone', 'halloumi', 'paneer', 'creme fraiche',
+      'crème fraîche', 'quark', 'skyr', 'fromage frais', 'gruyere', 'brie', 'labneh', 'kefir', 'custard'],
+    exceptions: ['coconut milk', 'almond milk', 'oat milk', 'soy milk', 'soya milk', 'rice milk', 'cashew milk',
+      'coconut cream', 'coconut yogurt', 'coconut yoghurt', 'soya yogurt', 'soya yoghurt', 'soy yogurt',
+      'peanut butter', 'almond butter', 'cashew butter', 'nut butter', 'cocoa butter', 'butter bean', 'butter beans',
+      'cream of tartar', 'vegan cheese', 'vegan butter', 'dairy-free']
+  },
+  egg: {
+    terms: ['egg', 'egg yolk', 'egg white', 'mayonnaise', 'mayo', 'meringue', 'aioli'],
+    exceptions: ['vegan mayo', 'vegan mayonnaise', 'egg-free', 'eggless']
+  },
+  honey: {
+    terms: ['honey'],
+    exceptions: []
+  },
+  gelatin: {
+    terms: ['gelatin', 'gelatine', 'gelatine leaves', 'marshmallow'],
+    exceptions: ['vegetarian gelatine', 'vegan gelatine', 'vegan marshmallow']
+  },
+  alcohol: {
+    terms: ['wine', 'beer', 'ale', 'lager', 'stout', 'cider', 'rum', 'brandy', 'vodka', 'whisky', 'whiskey', 'gin',
+      'sherry', 'liqueur', 'kirsch', 'marsala', 'mirin', 'sake', 'cognac', 'bourbon', 'champagne', 'prosecco',
+      'vermouth', 'amaretto', 'tequila', 'cointreau', 'grand marnier', 'rice wine', 'shaoxing'],
+    exceptions: ['wine vinegar', 'cider vinegar', 'rice wine vinegar', 'non-alcoholic', 'alcohol-free', 'ginger beer',
+      'root beer']
+  },
+  gluten: {
+    terms: ['wheat', 'flour', 'bread', 'breadcrumbs', 'pasta', 'spaghetti', 'penne', 'linguine', 'tagliatelle',
+      'fusilli', 'macaroni', 'lasagne', 'lasagna', 'orzo', 'gnocchi', 'noodle', 'couscous', 'bulgur', 'bulgar',
+      'semolina', 'barley', 'rye', 'spelt', 'seitan', 'soy sauce', 'tortilla', 'wrap', 'pitta', 'pita', 'naan',
+      'crouton', 'pastry', 'filo', 'biscuit', 'cracker', 'ciabatta', 'baguette', 'brioche', 'bagel', 'muffin',
+      'crumpet', 'panko', 'farro', 'freekeh', 'malt', 'udon', 'bun', 'roll'],
+    exceptions: ['rice flour', 'almond flour', 'coconut flour', 'chickpea flour', 'gram flour',
+      'tapioca flour', 'potato flour', 'buckwheat flour', 'rice noodle', 'rice noodles', 'glass noodles',
+      'corn tortilla', 'corn tortillas', 'rice paper', 'spring roll wrappers']
+  }
+};
+
+// Diets and the ingredient categories they rule out
+const DIETARY_PREFERENCE_RULES = {
+  vegetarian: ['pork', 'red-meat', 'poultry', 'fish', 'shellfish', 'gelatin'],
+  vegan: ['pork', 'red-meat', 'poultry', 'fish', 'shellfish', 'gelatin', 'dairy', 'egg', 'honey'],
+  pescatarian: ['pork', 'red-meat', 'poultry', 'gelatin'],
+  'gluten-free': ['gluten'],
+  // No pork products, gelatin or alcohol. Meat slaughter method cannot be read from ingredients.
+  halal: ['pork', 'gelatin', 'alcohol']
+};
+
+const DIETARY_PREFERENCE_ALIASES = {
+  veggie: 'vegetarian',
+  'plant-based': 'vegan',
+  'plant based': 'vegan',
+  pescetarian: 'pescatarian',
+  'gluten free': 'gluten-free',
+  'no gluten': 'gluten-free',
+  coeliac: 'gluten-free',
+  celiac: 'gluten-free'
+};
+
+// Qualified substitutes ("vegan cheese", "meat-free sausages") never count as the animal product
+const FREE_FROM_PATTERN = /\b(?:vegan|vegetarian|veggie|plant-based|meat-free|dairy-free|egg-free|gluten-free|non-alcoholic|alcohol-free)\s+[a-z]+/g;
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Match a term on word boundaries, tolerating simple plurals ("almond" matches "almonds")
+ */
+const buildTermRegex = term => new RegExp(`\\b${escapeRegExp(term.toLowerCase())}(?:s|es)?\\b`, 'i');
+
+const compiledTaxonomy = Object.fromEntries(
+  Object.entries(INGREDIENT_TAXONOMY).map(([category, { terms, exceptions }]) => [category, {
+    terms: terms.map(term => ({ term, regex: buildTermRegex(term) })),
+    exceptions: exceptions.map(phrase => new RegExp(`\\b${escapeRegExp(phrase)}(?:s|es)?\\b`, 'gi'))
+  }])
+);
+
+/**
+ * Normalise the Ingredients field (string from the raw collections, array from the parsed ones)
+ * The raw strings separate lines with a literal '/n', which would otherwise glue an "n" onto the next word
+ */
+const getIngredientText = recipe => {
+  const ingredients = recipe?.Ingredients;
+  const text = Array.isArray(ingredients) ? ingredients.join('\n') : String(ingredients || '');
+  return text.replace(/\/n/g, '\n').toLowerCase();
+};
+
+// Recipes are cached between requests, so classify each recipe object only once
+const recipeClassificationCache = new WeakMap();
+
+/**
+ * Classify a recipe's ingredients against the taxonomy
+ * Returns { category: matchedTerm } for every category found
+ */
+const classifyRecipeIngredients = recipe => {
+  if (recipe && typeof recipe === 'object' && recipeClassificationCache.has(recipe)) {
+    return recipeClassificationCache.get(recipe);
+  }
+
+  const baseText = getIngredientText(recipe).replace(FREE_FROM_PATTERN, ' ');
+  const categories = {};
+
+  for (const [category, { terms, exceptions }] of Object.entries(compiledTaxonomy)) {
+    const text = exceptions.reduce((acc, regex) => acc.replace(regex, ' '), baseText);
+    const match = terms.find(({ regex }) => regex.test(text));
+    if (match) {
+      categories[category] = match.term;
+    }
+  }
+
+  if (recipe && typeof recipe === 'object') {
+    recipeClassificationCache.set(recipe, categories);
+  }
+  return categories;
+};
+
+/**
+ * Map free-form preference values onto supported diets
+ * Values that are not diets (e.g. "organic") are returned as unrecognised and ignored
+ */
+const normaliseDietaryPreferences = preferences => {
+  const list = Array.isArray(preferences) ? preferences : (preferences ? String(preferences).split(',') : []);
+  const diets = new Set();
+  const unrecognised = [];
+
+  list.map(p => String(p).trim().toLowerCase()).filter(Boolean).forEach(value => {
+    const diet = DIETARY_PREFERENCE_RULES[value] ? value : DIETARY_PREFERENCE_ALIASES[value];
+    if (diet) {
+      diets.add(diet);
+    } else {
+      unrecognised.push(value);
+    }
+  });
+
+  return { diets: [...diets], unrecognised };
+};
+
+/**
+ * Return the first diet a recipe breaks as { diet, category, matchedTerm }, or null if it fits all of them
+ */
+const findDietViolation = (recipe, diets) => {
+  if (!diets || diets.length === 0) return null;
+
+  const categories = classifyRecipeIngredients(recipe);
+  for (const diet of diets) {
+    const category = DIETARY_PREFERENCE_RULES[diet].find(c => categories[c]);
+    if (category) {
+      return { diet, category, matchedTerm: categories[category] };
+    }
+  }
+  return null;
+};
+
+/**
+ * Drop recipes that break any of the given diets
+ */
+const filterRecipesByDiet = (recipes, diets) => {
+  if (!diets || diets.length === 0) return recipes;
+  return recipes.filter(recipe => !findDietViolation(recipe, diets));
+};
+
+// ============================================
+// ALLERGENS
+// ============================================
+
+/**
+ * The 14 major allergen groups with synonyms and derived ingredients
+ * Matching works like the ingredient taxonomy: whole words, plurals allowed, exceptions removed first
+ */
+const ALLERGEN_TAXONOMY = {
+  gluten: {
+    terms: [...INGREDIENT_TAXONOMY.gluten.terms, 'oat', 'oatmeal', 'porridge', 'durum', 'kamut', 'triticale'],
+    exceptions: INGREDIENT_TAXONOMY.gluten.exceptions
+  },
+  crustaceans: {
+    terms: ['prawn', 'shrimp', 'crab', 'lobster', 'crayfish', 'langoustine', 'scampi', 'krill', 'shrimp paste'],
+    exceptions: []
+  },
+  molluscs: {
+    terms: ['mussel', 'clam', 'oyster', 'scallop', 'squid', 'calamari', 'octopus', 'cockle', 'whelk', 'winkle',
+      'snail', 'escargot', 'cuttlefish', 'abalone', 'oyster sauce'],
+    exceptions: ['oyster mushroom', 'vegetarian oyster sauce']
+  },
+  eggs: {
+    terms: ['egg', 'egg yolk', 'egg white', 'mayonnaise', 'mayo', 'meringue', 'aioli', 'hollandaise', 'bearnaise',
+      'béarnaise', 'egg noodle', 'albumen'],
+    exceptions: ['vegan mayo', 'vegan mayonnaise', 'eggless']
+  },
+  fish: {
+    terms: ['fish', 'salmon', 'tuna', 'cod', 'haddock', 'mackerel', 'sardine', 'anchovy', 'anchovies', 'trout',
+      'sea bass', 'bream', 'pollock', 'hake', 'halibut', 'plaice', 'sole', 'tilapia', 'kipper', 'herring',
+      'monkfish', 'swordfish', 'pilchard', 'whitebait', 'fish sauce', 'worcestershire sauce', 'caesar dressing'],
+    exceptions: []
+  },
+  milk: {
+    terms: [...INGREDIENT_TAXONOMY.dairy.terms, 'lactose', 'milk powder', 'pecorino', 'parmigiano', 'paneer'],
+    exceptions: INGREDIENT_TAXONOMY.dairy.exceptions
+  },
+  peanuts: {
+    terms: ['peanut', 'groundnut', 'monkey nut', 'peanut butter', 'arachis oil', 'satay'],
+    exceptions: []
+  },
+  'tree-nuts': {
+    terms: ['nut', 'almond', 'hazelnut', 'walnut', 'cashew', 'pecan', 'brazil nut', 'pistachio', 'macadamia',
+      'pine nut', 'praline', 'marzipan', 'frangipane', 'nutella', 'gianduja', 'amaretto', 'nut butter'],
+    // Peanuts and coconut are covered separately; "nut" already skips nutmeg and butternut via word boundaries
+    exceptions: ['peanut', 'peanuts', 'monkey nut', 'monkey nuts', 'peanut butter']
+  },
+  sesame: {
+    terms: ['sesame', 'tahini', 'halva', 'halwa', 'hummus', 'houmous', 'gomasio', 'za\'atar', 'zaatar'],
+    exceptions: []
+  },
+  soya: {
+    terms: ['soy', 'soya', 'soybean', 'soy sauce', 'tamari', 'tofu', 'tempeh', 'edamame', 'miso',
+      'textured vegetable protein', 'tvp'],
+    exceptions: []
+  },
+  celery: {
+    terms: ['celery', 'celeriac', 'celery salt', 'celery seed'],
+    exceptions: []
+  },
+  mustard: {
+    terms: ['mustard', 'dijon', 'piccalilli'],
+    exceptions: []
+  },
+  lupin: {
+    terms: ['lupin', 'lupini', 'lupine'],
+    exceptions: []
+  },
+  sulphites: {
+    terms: ['sulphite', 'sulfite', 'sulphur dioxide', 'sulfur dioxide', 'metabisulphite', 'wine', 'cider',
+      'beer', 'perry', 'dried apricot'],
+    exceptions: ['ginger beer', 'root beer']
+  }
+};
+
+// User wording mapped onto allergen groups; group names themselves are always accepted
+const ALLERGEN_ALIASES = {
+  wheat: ['gluten'],
+  'cereals containing gluten': ['gluten'],
+  coeliac: ['gluten'],
+  celiac: ['gluten'],
+  crustacean: ['crustaceans'],
+  shellfish: ['crustaceans', 'molluscs'],
+  seafood: ['fish', 'crustaceans', 'molluscs'],
+  mollusc: ['molluscs'],
+  mollusk: ['molluscs'],
+  mollusks: ['molluscs'],
+  egg: ['eggs'],
+  dairy: ['milk'],
+  lactose: ['milk'],
+  'cows milk': ['milk'],
+  'cow\'s milk': ['milk'],
+  peanut: ['peanuts'],
+  groundnut: ['peanuts'],
+  groundnuts: ['peanuts'],
+  nut: ['tree-nuts', 'peanuts'],
+  nuts: ['tree-nuts', 'peanuts'],
+  'tree nut': ['tree-nuts'],
+  'tree nuts': ['tree-nuts'],
+  'sesame seed': ['sesame'],
+  'sesame seeds': ['sesame'],
+  soy: ['soya'],
+  soybean: ['soya'],
+  soybeans: ['soya'],
+  'soya beans': ['soya'],
+  lupine: ['lupin'],
+  sulphite: ['sulphites'],
+  sulfite: ['sulphites'],
+  sulfites: ['sulphites'],
+  'sulphur dioxide': ['sulphites'],
+  'sulfur dioxide': ['sulphites']
+};
+
+// Only explicit free-from labels clear an allergen ("vegan cheese" may still contain nuts or soya)
+const ALLERGEN_FREE_FROM_PATTERN = /\b(?:dairy-free|milk-free|egg-free|gluten-free|wheat-free|nut-free|peanut-free|soy-free|soya-free|sesame-free)\s+[a-z]+/g;
+
+const compiledAllergenTaxonomy = Object.fromEntries(
+  Object.entries(ALLERGEN_TAXONOMY).map(([allergen, { terms, exceptions }]) => [allergen, {
+    terms: terms.map(term => ({ term, regex: buildTermRegex(term) })),
+    exceptions: exceptions.map(phrase => new RegExp(`\\b${escapeRegExp(phrase)}(?:s|es)?\\b`, 'gi'))
+  }])
+);
+
+const recipeAllergenCache = new WeakMap();
+
+// Number of excluded recipes listed on a plan (counts always cover every exclusion)
+const MAX_REPORTED_ALLERGEN_EXCLUSIONS = 50;
+
+/**
+ * Classify a recipe against the allergen groups
+ * Returns { allergen: matchedTerm } for every group found
+ */
+const classifyRecipeAllergens = recipe => {
+  if (recipe && typeof recipe === 'object' && recipeAllergenCache.has(recipe)) {
+    return recipeAllergenCache.get(recipe);
+  }
+
+  const baseText = getIngredientText(recipe).replace(ALLERGEN_FREE_FROM_PATTERN, ' ');
+  const allergens = {};
+
+  for (const [allergen, { terms, exceptions }] of Object.entries(compiledAllergenTaxonomy)) {
+    const text = exceptions.reduce((acc, regex) => acc.replace(regex, ' '), baseText);
+    const match = terms.find(({ regex }) => regex.test(text));
+    if (match) {
+      allergens[allergen] = match.term;
+    }
+  }
+
+  if (recipe && typeof recipe === 'object') {
+    recipeAllergenCache.set(recipe, allergens);
+  }
+  return allergens;
+};
+
+/**
+ * Resolve one or more allergy lists (arrays or comma-separated strings) into
+ * { allergens: [group], customTerms: [term] }
+ * Values that are not a known group or alias are kept as custom terms and matched as whole words
+ */
+const resolveAllergies = (...sources) => {
+  const allergens = new Set();
+  const customTerms = new Set();
+
+  sources.forEach(source => {
+    const list = Array.isArray(source) ? source : (source ? String(source).split(',') : []);
+    list.map(a => String(a).trim().toLowerCase()).filter(Boolean).forEach(value => {
+      const groups = ALLERGEN_TAXONOMY[value] ? [value] : ALLERGEN_ALIASES[value];
+      if (groups) {
+        groups.forEach(group => allergens.add(group));
+      } else {
+        customTerms.add(value);
+      }
+    });
+  });
+
+  return { allergens: [...allergens], customTerms: [...customTerms] };
+};
+
+/**
+ * Return the allergen that rules a recipe out as { allergen, matchedTerm }, or null if it is safe
+ * Custom terms are reported with allergen set to the term itself
+ */
+const findRecipeAllergen = (recipe, profile) => {
+  if (!profile || (profile.allergens.length === 0 && profile.customTerms.length === 0)) return null;
+
+  const found = classifyRecipeAllergens(recipe);
+  const allergen = profile.allergens.find(group => found[group]);
+  if (allergen) {
+    return { allergen, matchedTerm: found[allergen] };
+  }
+
+  if (profile.customTerms.length > 0) {
+    const text = getIngredientText(recipe).replace(ALLERGEN_FREE_FROM_PATTERN, ' ');
+    const term = profile.customTerms.find(t => buildTermRegex(t).test(text));
+    if (term) {
+      return { allergen: term, matchedTerm: term };
+    }
+  }
+  return null;
+};
+
+/**
+ * Split recipes into those safe for the profile and those excluded, with the allergen that triggered each exclusion
+ */
+const screenRecipesForAllergens = (recipes, profile) => {
+  const allowed = [];
+  const excluded = [];
+
+  recipes.forEach(recipe => {
+    const hit = findRecipeAllergen(recipe, profile);
+    if (hit) {
+      excluded.push({ id: recipe.id, Title: recipe.Title || null, ...hit });
+    } else {
+      allowed.push(recipe);
+    }
+  });
+
+  return { allowed, excluded };
+};
+
+/**
+ * Count exclusions per allergen group
+ */
+const countExclusionsByAllergen = exclusions => {
+  const counts = {};
+  exclusions.forEach(({ allergen }) => {
+    counts[allergen] = (counts[allergen] || 0) + 1;
+  });
+  return counts;
+};
+
+const calculateMacroBalanceScore = (recipe, targets) => {
+  // Calculate percentage differences from targets
+  const proteinDiff = Math.abs(recipe.Protein - targets.protein) / (targets.protein || 1);
+  const carbsDiff = Math.abs(recipe.Carbs - targets.carbs) / (targets.carbs || 1);
+  const fatDiff = Math.abs(recipe.Fat - targets.fat) / (targets.fat || 1);
+
+  // Average deviation (lower is better)
+  const avgDeviation = (proteinDiff + carbsDiff + fatDiff) / 3;
+
+  // Penalty factors for health concerns
+  let penalties = 0;
+
+  // High sugar penalty (>15g = processed/unhealthy)
+  if (recipe.Sugars > 15) {
+    penalties += (recipe.Sugars - 15) * 0.1;
+  }
+
+  // High saturated fat penalty (>10g per meal)
+  if (recipe.Saturates > 10) {
+    penalties += (recipe.Saturates - 10) * 0.1;
+  }
+
+  // Reward high fiber
+  if (recipe.Fibre >= 5) {
+    penalties -= recipe.Fibre * 0.05; // Negative penalty = bonus
+  }
+
+  // High salt penalty (>2g per meal, about 800mg sodium; Salt is in grams)
+  if (recipe.Salt > 2) {
+    penalties += (recipe.Salt - 2) * 0.5;
+  }
+
+  // Calculate final score (0-100, higher is better)
+  const baseScore = 100 * (1 - Math.min(avgDeviation, 1));
+  return Math.max(0, baseScore - (penalties * 10));
+};
+
+const adjustTargetsForMealType = (baseTargets, mealType, activityCalories) => {
+  const adjusted = { ...baseTargets };
+
+  switch (mealType) {
+    case 'breakfast':
+      // Breakfast typically higher carbs for energy
+      adjusted.carbs *= 1.1;
+      adjusted.protein *= 0.9;
+      break;
+    case 'lunch':
+      // Balanced meal - no adjustment
+      break;
+    case 'dinner':
+      // Higher protein for muscle recovery
+      adjusted.protein *= 1.15;
+      adjusted.carbs *= 0.9;
+      break;
+    case 'snack':
+      // Focus on protein/fiber for satiety
+      adjusted.protein *= 1.2;
+      break;
+  }
+
+  // Adjust for high activity days
+  if (activityCalories > 500) {
+    adjusted.carbs *= 1.15; // More carbs for fuel
+  }
+
+  return adjusted;
+};
+
+// Portion scaling: a recipe can be served at 0.5x-2x its listed serving, in 0.05 steps
+const MIN_PORTION_MULTIPLIER = 0.5;
+const MAX_PORTION_MULTIPLIER = 2;
+const PORTION_STEP = 0.05;
+const SCALED_NUTRIENT_FIELDS = ['Calories', 'Protein', 'Carbs', 'Fat', 'Fibre', 'Sugars', 'Saturates', 'Salt'];
+
+/**
+ * Servings of a recipe that bring it closest to the target calories, within the allowed portion range
+ */
+const getPortionMultiplier = (recipeCalories, targetCalories) => {
+  if (!(recipeCalories > 0) || !(targetCalories > 0)) return 1;
+
+  const stepped = Math.round(targetCalories / recipeCalories / PORTION_STEP) * PORTION_STEP;
+  const clamped = Math.min(MAX_PORTION_MULTIPLIER, Math.max(MIN_PORTION_MULTIPLIER, stepped));
+  return Math.round(clamped * 100) / 100;
+};
+
+/**
+ * Nutrition of `multiplier` servings of a recipe
+ */
+const scaleRecipeNutrition = (recipe, multiplier) => {
+  const scaled = {};
+  SCALED_NUTRIENT_FIELDS.forEach(field => {
+    scaled[field] = Math.round((Number(recipe[field]) || 0) * multiplier * 10) / 10;
+  });
+  return scaled;
+};
+
+/**
+ * Portion multiplier and scaled nutrition of a recipe served for a slot's target calories
+ */
+const portionRecipe = (recipe, targetCalories) => {
+  const portionMultiplier = getPortionMultiplier(recipe.Calories, targetCalories);
+  return { portionMultiplier, scaled: scaleRecipeNutrition(recipe, portionMultiplier) };
+};
+
+/**
+ * Nutrition actually served for a plan meal
+ * Meals from plans built before portion scaling are one serving of the recipe
+ */
+const getMealNutrition = meal => meal?.scaled || scaleRecipeNutrition(meal || {}, 1);
+
+/**
+ * Pick the best macro-balanced recipe whose scaled portion lands inside the calorie window
+ * Recipes are scored on their scaled macros.
+ * Options: random (PRNG used for shuffling), adjustScore(recipe, score, mealType) to re-weight candidates,
+ * timeLimits (the day's cooking time limits), recipeLimits (medical per-serving limits, checked on the scaled portion)
+ * Returns { recipe, score, portionMultiplier, scaled } or null when nothing fits
+ */
+const selectBalancedMealForDay = (recipes, targetCalories, macroTargets, usedRecipeIds, mealType, activityCalories, relax = false, { random = Math.random, adjustScore, timeLimits, recipeLimits } = {}) => {
+  const tolerance = relax ? 100 : 50;
+  const min = targetCalories - tolerance;
+  const max = targetCalories + tolerance;
+
+  const adjustedTargets = adjustTargetsForMealType(macroTargets, mealType, activityCalories);
+
+  // Shuffle first so recipes with equal scores don't always resolve the same way
+  const candidates = shuffleArray(recipes, random)
+    .filter(r => {
+      const cal = r?.Calories;
+      return typeof cal === 'number' && !isNaN(cal) && cal > 0 &&
+             isValidRecipe(r, timeLimits) && !usedRecipeIds.has(r.id);
+    })
+    .map(recipe => ({ recipe, ...portionRecipe(recipe, targetCalories) }))
+    .filter(({ scaled }) => scaled.Calories >= min && scaled.Calories <= max && fitsRecipeLimits(scaled, recipeLimits));
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const scored = candidates.map(candidate => {
+    const score = calculateMacroBalanceScore({ ...candidate.recipe, ...candidate.scaled }, adjustedTargets);
+    return { ...candidate, score: adjustScore ? adjustScore(candidate.recipe, score, mealType) : score };
+  });
+  scored.sort((a, b) => b.score - a.score);
+
+  return scored[0];
+};
+
+/**
+ * Select a meal using the same 4-stage cascade as the generateCalorieTargets callable,
+ * with each recipe's portion scaled towards the target before the window is checked:
+ *   1. strict   - ±50 kcal, no repeats within the week
+ *   2. relaxed  - ±100 kcal, no repeats within the week
+ *   3. repeat   - ±100 kcal, repeats allowed
+ *   4. closest  - any valid recipe, closest scaled calories, macros ignored
+ * The chosen score, stage, portion multiplier and scaled nutrition are stored on the returned meal.
+ * selectionOptions are passed to selectBalancedMealForDay; a seeded `random` makes the selection reproducible.
+ */
+const selectMealWithFallback = (recipes, targetCal, macroTargets, mealType, activityCal, day, usedRecipeIds, selectionOptions = {}) => {
+  const toMeal = ({ recipe, score, portionMultiplier, scaled }, fallbackStage) => ({
+    ...recipe,
+    portionMultiplier,
+    scaled,
+    selectionScore: Math.round(score * 10) / 10,
+    fallbackStage
+  });
+
+  let match = selectBalancedMealForDay(recipes, targetCal, macroTargets, usedRecipeIds, mealType, activityCal, false, selectionOptions);
+  if (match) {
+    usedRecipeIds.add(match.recipe.id);
+    return toMeal(match, 'strict');
+  }
+
+  match = selectBalancedMealForDay(recipes, targetCal, macroTargets, usedRecipeIds, mealType, activityCal, true, selectionOptions);
+  if (match) {
+    usedRecipeIds.add(match.recipe.id);
+    return toMeal(match, 'relaxed');
+  }
+
+  console.warn(`${day} ${mealType}: Recipe pool exhausted, allowing repetition...`);
+  match = selectBalancedMealForDay(recipes, targetCal, macroTargets, new Set(), mealType, activityCal, true, selectionOptions);
+  if (match) {
+    // Not added to usedRecipeIds since repetition is already allowed at this stage
+    return toMeal(match, 'repeat');
+  }
+
+  console.warn(`${day} ${mealType}: Final fallback - selecting closest calorie match...`);
+  const validRecipes = recipes
+    .filter(r => {
+      const cal = r?.Calories;
+      return typeof cal === 'number' && !isNaN(cal) && cal > 0 && isValidRecipe(r, selectionOptions.timeLimits);
+    })
+    .map(recipe => ({ recipe, ...portionRecipe(recipe, targetCal) }))
+    .filter(({ scaled }) => fitsRecipeLimits(scaled, selectionOptions.recipeLimits));
+
+  if (validRecipes.length > 0) {
+    validRecipes.sort((a, b) => Math.abs(a.scaled.Calories - targetCal) - Math.abs(b.scaled.Calories - targetCal));
+    const closest = validRecipes[0];
+    const adjustedTargets = adjustTargetsForMealType(macroTargets, mealType, activityCal);
+    const score = calculateMacroBalanceScore({ ...closest.recipe, ...closest.scaled }, adjustedTargets);
+    return toMeal({ ...closest, score }, 'closest');
+  }
+
+  console.error(`${day} ${mealType}: Could not find any valid recipe!`);
+  return null;
+};
+
+// ============================================
+// MEAL SLOTS
+// ============================================
+
+const BASE_MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// Used when the user has never set mealsPerDay (original breakfast/lunch/dinner/snack layout)
+const DEFAULT_MEALS_PER_DAY = 4;
+
+/**
+ * Slot layouts keyed by mealsPerDay
+ * Each entry: [recipe collection, share of daily calories/macros, default time]
+ * Main meals keep the biggest shares; slots beyond breakfast/lunch/dinner become snacks
+ */
+const MEAL_SLOT_TEMPLATES = {
+  1: [['dinner', 1, '18:00']],
+  2: [['lunch', 0.5, '12:00'], ['dinner', 0.5, '18:30']],
+  3: [['breakfast', 0.3, '08:00'], ['lunch', 0.35, '13:00'], ['dinner', 0.35, '19:00']],
+  4: [['breakfast', 0.25, '08:00'], ['lunch', 0.3, '13:00'], ['snack', 0.15, '16:00'], ['dinner', 0.3, '19:00']],
+  5: [['breakfast', 0.25, '07:30'], ['snack', 0.1, '10:30'], ['lunch', 0.3, '13:00'], ['snack', 0.1, '16:00'], ['dinner', 0.25, '19:00']],
+  6: [['breakfast', 0.2, '07:00'], ['snack', 0.1, '10:00'], ['lunch', 0.25, '12:30'], ['snack', 0.1, '15:30'], ['dinner', 0.25, '18:30'], ['snack', 0.1, '21:00']],
+  7: [['breakfast', 0.2, '07:00'], ['snack', 0.08, '09:30'], ['lunch', 0.24, '12:00'], ['snack', 0.08, '14:30'], ['snack', 0.08, '16:30'], ['dinner', 0.24, '19:00'], ['snack', 0.08, '21:00']],
+  8: [['breakfast', 0.18, '06:30'], ['snack', 0.08, '09:00'], ['lunch', 0.22, '11:30'], ['snack', 0.08, '14:00'], ['snack', 0.07, '16:00'], ['dinner', 0.22, '18:00'], ['snack', 0.08, '20:00'], ['snack', 0.07, '21:30']]
+};
+
+const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Build the ordered meal slots for a day
+ * Slot keys reuse the collection name for the first slot of each type ("snack"),
+ * later ones are numbered ("snack2", "snack3") so existing 4-meal plans keep their keys.
+ * preferredEatingTimes are used when there is one valid HH:MM time per slot.
+ */
+const buildMealSlots = (mealsPerDay, preferredEatingTimes = []) => {
+  const count = Math.min(8, Math.max(1, parseInt(mealsPerDay) || DEFAULT_MEALS_PER_DAY));
+  const template = MEAL_SLOT_TEMPLATES[count];
+
+  const validTimes = (Array.isArray(preferredEatingTimes) ? preferredEatingTimes : [])
+    .map(t => String(t).trim())
+    .filter(t => TIME_OF_DAY_REGEX.test(t))
+    .sort();
+  const usePreferredTimes = validTimes.length >= count;
+
+  const seen = {};
+  return template.map(([mealType, share, defaultTime], index) => {
+    seen[mealType] = (seen[mealType] || 0) + 1;
+    return {
+      slot: seen[mealType] === 1 ? mealType : `${mealType}${seen[mealType]}`,
+      mealType,
+      share,
+      time: usePreferredTimes ? validTimes[index] : defaultTime,
+      timeSource: usePreferredTimes ? 'preferred' : 'default'
+    };
+  });
+};
+
+/**
+ * List the [slotKey, meal] entries of a plan day in eating order
+ * Works for plans with meal slots and for older plans that only have the four fixed keys
+ */
+const getDayMealEntries = dayData => Object.entries(dayData || {})
+  .filter(([key, meal]) => meal && typeof meal === 'object' && (meal.mealType || BASE_MEAL_TYPES.includes(key)))
+  .sort(([, a], [, b]) => String(a.scheduledTime || '').localeCompare(String(b.scheduledTime || '')));
+
+// ============================================
+// FASTING MODES
+// ============================================
+
+// Time-restricted eating presets; Ramadan slots follow dawn and sunset instead of a fixed window
+const FASTING_PRESETS = {
+  '16:8': { windowHours: 8, maxMeals: 3 },
+  '18:6': { windowHours: 6, maxMeals: 2 },
+  ramadan: { minMeals: 2, maxMeals: 3 }
+};
+const DEFAULT_EATING_WINDOW_START = '12:00';
+// The last meal of an eating window is scheduled this long before it closes
+const WINDOW_CLOSE_BUFFER_MINUTES = 60;
+
+// Sun altitudes for Fajr (dawn, 18 degrees below the horizon) and Maghrib (sunset, with refraction)
+const FAJR_SUN_ALTITUDE = -18;
+const MAGHRIB_SUN_ALTITUDE = -0.833;
+const SUHOOR_LEAD_MINUTES = 30;
+const IFTAR_SNACK_DELAY_MINUTES = 180;
+const LATEST_MEAL_MINUTES = 23 * 60 + 30;
+
+// Ramadan slots by number of meals: [slot key, recipe collection, share of the day, selection focus]
+const RAMADAN_SLOT_TEMPLATES = {
+  2: [['suhoor', 'breakfast', 0.4, 'slow-release'], ['iftar', 'dinner', 0.6, null]],
+  3: [['suhoor', 'breakfast', 0.35, 'slow-release'], ['iftar', 'dinner', 0.45, null], ['snack', 'snack', 0.2, null]]
+};
+
+// Suhoor has to last until sunset: water-rich foods, fibre and little sugar
+const HYDRATING_KEYWORDS = ['cucumber', 'tomato', 'watermelon', 'melon', 'yogurt', 'yoghurt', 'laban', 'milk', 'berries', 'orange', 'lettuce', 'soup', 'oats', 'porridge', 'chia'];
+const SLOW_RELEASE_POINTS = { hydrating: 6, fibre: 6, lowSugar: 4 };
+
+const toClockMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const formatClockMinutes = minutes => {
+  const wrapped = ((Math.round(minutes) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Minutes after UTC midnight at which the sun reaches `altitude` degrees on a date (YYYY-MM-DD)
+ * NOAA low-precision solar position; morning=true gives the time before solar noon.
+ * Returns null when the sun never reaches that altitude (e.g. Fajr in high-latitude summers)
+ */
+const calculateSunTime = (date, latitude, longitude, altitude, morning) => {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const start = Date.UTC(Number(date.slice(0, 4)), 0, 1);
+  const dayOfYear = Math.floor((Date.parse(`${date}T12:00:00Z`) - start) / 86400000) + 1;
+  const gamma = 2 * Math.PI / 365 * (dayOfYear - 1);
+
+  const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma) -
+    0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+  const declination = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma) -
+    0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma) -
+    0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+  const lat = toRadians(latitude);
+  const cosHourAngle = (Math.sin(toRadians(altitude)) - Math.sin(lat) * Math.sin(declination)) /
+    (Math.cos(lat) * Math.cos(declination));
+  if (cosHourAngle < -1 || cosHourAngle > 1) return null;
+
+  const hourAngleMinutes = 4 * Math.acos(cosHourAngle) * 180 / Math.PI;
+  const solarNoon = 720 - 4 * longitude - equationOfTime;
+  return morning ? solarNoon - hourAngleMinutes : solarNoon + hourAngleMinutes;
+};
+
+/**
+ * Date (YYYY-MM-DD) of the first `day` on or after startDate
+ */
+const getWeekdayDateFrom = (startDate, day) => {
+  const date = new Date(`${startDate}T00:00:00Z`);
+  const offset = (DAYS_OF_WEEK.indexOf(day) - ((date.getUTCDay() + 6) % 7) + 7) % 7;
+  date.setUTCDate(date.getUTCDate() + offset);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * First of `dayCount` dates from startDate on which a Ramadan location has no Fajr or no Maghrib, or null
+ * Near the poles either can disappear part-way through a plan
+ */
+const findDateWithoutSunTimes = (location, startDate, dayCount) => {
+  for (let offset = 0; offset < dayCount; offset++) {
+    const date = addDaysToDate(startDate, offset);
+    if (calculateSunTime(date, location.latitude, location.longitude, FAJR_SUN_ALTITUDE, true) === null ||
+        calculateSunTime(date, location.latitude, location.longitude, MAGHRIB_SUN_ALTITUDE, false) === null) {
+      return date;
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate fasting settings (stored on the user or sent with a plan request)
+ * 16:8 and 18:6 take an eatingWindowStart; Ramadan needs a location (latitude, longitude, utcOffsetHours)
+ * or fixed suhoorTime and iftarTime. With a location, startDate (default: today at that UTC offset) is kept
+ * so each plan day's times can be derived.
+ * Returns { fasting } (null when fasting is off) or { error }
+ */
+const resolveFastingSettings = (settings, startDate) => {
+  if (settings === undefined || settings === null || settings.mode === undefined || settings.mode === null || settings.mode === 'off') {
+    return { fasting: null };
+  }
+  const invalid = message => ({ error: { error: 'Invalid fasting settings', message } });
+
+  const mode = String(settings.mode).trim().toLowerCase();
+  const preset = FASTING_PRESETS[mode];
+  if (!preset) {
+    return invalid(`mode must be one of: ${Object.keys(FASTING_PRESETS).join(', ')}, off`);
+  }
+
+  if (mode !== 'ramadan') {
+    const start = settings.eatingWindowStart ?? DEFAULT_EATING_WINDOW_START;
+    if (!TIME_OF_DAY_REGEX.test(String(start))) {
+      return invalid('eatingWindowStart must use 24-hour HH:MM format');
+    }
+    const endMinutes = toClockMinutes(start) + preset.windowHours * 60;
+    if (endMinutes > 24 * 60) {
+      return invalid(`A ${mode} window starting at ${start} runs past midnight; start it by ${formatClockMinutes(24 * 60 - preset.windowHours * 60)}`);
+    }
+    return { fasting: { mode, eatingWindow: { start, end: formatClockMinutes(endMinutes) } } };
+  }
+
+  const { suhoorTime, iftarTime, latitude, longitude, utcOffsetHours } = settings;
+  if (suhoorTime !== undefined || iftarTime !== undefined) {
+    if (!TIME_OF_DAY_REGEX.test(String(suhoorTime)) || !TIME_OF_DAY_REGEX.test(String(iftarTime))) {
+      return invalid('suhoorTime and iftarTime must both be given in 24-hour HH:MM format');
+    }
+    if (toClockMinutes(iftarTime) <= toClockMinutes(suhoorTime)) {
+      return invalid('iftarTime must be later in the day than suhoorTime');
+    }
+    return { fasting: { mode, suhoorTime, iftarTime } };
+  }
+
+  const location = { latitude: parseFloat(latitude), longitude: parseFloat(longitude), utcOffsetHours: parseFloat(utcOffsetHours) };
+  if (isNaN(location.latitude) || location.latitude < -90 || location.latitude > 90 ||
+      isNaN(location.longitude) || location.longitude < -180 || location.longitude > 180 ||
+      isNaN(location.utcOffsetHours) || location.utcOffsetHours < -12 || location.utcOffsetHours > 14) {
+    return invalid('Ramadan mode needs latitude (-90 to 90), longitude (-180 to 180) and utcOffsetHours (-12 to 14), or suhoorTime and iftarTime');
+  }
+  const localDate = startDate || new Date(Date.now() + location.utcOffsetHours * 3600000).toISOString().slice(0, 10);
+  const missingDate = findDateWithoutSunTimes(location, localDate, DAYS_OF_WEEK.length);
+  if (missingDate) {
+    return invalid(`Dawn or sunset cannot be calculated at this latitude on ${missingDate}; set suhoorTime and iftarTime instead`);
+  }
+
+  return { fasting: { mode, location, startDate: localDate } };
+};
+
+/**
+ * Eating times for one plan day: the eating window, or Fajr, suhoor and iftar for Ramadan
+ * Location-based settings must have been checked with findDateWithoutSunTimes for the plan's dates
+ */
+const getFastingDayTimes = (fasting, day) => {
+  if (fasting.mode !== 'ramadan') return { eatingWindow: fasting.eatingWindow };
+  if (!fasting.location) return { suhoor: fasting.suhoorTime, iftar: fasting.iftarTime };
+
+  const { latitude, longitude, utcOffsetHours } = fasting.location;
+  const date = getWeekdayDateFrom(fasting.startDate, day);
+  const fajr = calculateSunTime(date, latitude, longitude, FAJR_SUN_ALTITUDE, true) + utcOffsetHours * 60;
+  const maghrib = calculateSunTime(date, latitude, longitude, MAGHRIB_SUN_ALTITUDE, false) + utcOffsetHours * 60;
+
+  return {
+    date,
+    fajr: formatClockMinutes(fajr),
+    suhoor: formatClockMinutes(fajr - SUHOOR_LEAD_MINUTES),
+    iftar: formatClockMinutes(maghrib)
+  };
+};
+
+/**
+ * Meal slots for a fasting day, with the day's calories spread over the meals inside the window
+ * Eating windows reuse the regular slot layout for up to the preset's maxMeals, spaced evenly from the
+ * window opening to an hour before it closes. Ramadan days get suhoor, iftar and, with 3+ meals, an evening snack.
+ */
+const buildFastingMealSlots = (fasting, mealsPerDay, dayTimes) => {
+  const preset = FASTING_PRESETS[fasting.mode];
+  const requested = parseInt(mealsPerDay) || DEFAULT_MEALS_PER_DAY;
+  const count = Math.min(preset.maxMeals, Math.max(preset.minMeals || 1, requested));
+
+  if (fasting.mode === 'ramadan') {
+    const iftar = toClockMinutes(dayTimes.iftar);
+    const times = {
+      suhoor: dayTimes.suhoor,
+      iftar: dayTimes.iftar,
+      snack: formatClockMinutes(Math.min(iftar + IFTAR_SNACK_DELAY_MINUTES, Math.max(iftar, LATEST_MEAL_MINUTES)))
+    };
+    return RAMADAN_SLOT_TEMPLATES[count].map(([slot, mealType, share, focus]) => ({
+      slot,
+      mealType,
+      share,
+      time: times[slot],
+      timeSource: 'ramadan',
+      focus
+    }));
+  }
+
+  const start = toClockMinutes(dayTimes.eatingWindow.start);
+  const span = toClockMinutes(dayTimes.eatingWindow.end) - start - WINDOW_CLOSE_BUFFER_MINUTES;
+  return buildMealSlots(count).map((slot, index) => ({
+    ...slot,
+    time: formatClockMinutes(count === 1 ? start : start + span * index / (count - 1)),
+    timeSource: 'eating-window'
+  }));
+};
+
+// ============================================
+// WORKOUT FUELING
+// ============================================
+
+// Clock time assumed for each workoutPreferredTime; 'anytime' and unset fall back to the evening
+const WORKOUT_TIMES = { morning: '07:00', afternoon: '15:00', evening: '18:30' };
+const DEFAULT_WORKOUT_TIME = 'evening';
+
+// Pre-workout snack: share of the day's calories by fuelingDemandCategory, eaten an hour before training
+const PRE_WORKOUT_SHARES = { medium: 0.08, high: 0.12 };
+const PRE_WORKOUT_LEAD_MINUTES = 60;
+
+// How much of the day's carbs and protein each fueling meal gets relative to its calorie share;
+// the other meals give up the difference
+const FUELING_MACRO_WEIGHTS = {
+  'pre-workout': { carbs: 1.5, protein: 1 },
+  'post-workout': { carbs: 1.3, protein: 1.3 }
+};
+const PRE_WORKOUT_POINTS = { carbRich: 6, lowFat: 4, lowFibre: 2 };
+const POST_WORKOUT_POINTS = { proteinRich: 8, highProtein: 4 };
+
+/**
+ * Add workout fueling to a day's meal slots on medium and high demand days
+ * A `preWorkout` snack is inserted an hour before workoutPreferredTime (not while fasting, or outside the
+ * eating window) and the first main meal after the workout (or, failing that, the first snack) becomes the
+ * post-workout meal. Their carb and protein weights are recorded in macroFactors so that the day's macro
+ * totals do not change.
+ * Returns { slots, fueling }, where fueling is stored in the day's dailyTargetDetails
+ */
+const planDayFueling = (slots, { demand, workoutPreferredTime, fasting, fastingTimes }) => {
+  if (!PRE_WORKOUT_SHARES[demand]) {
+    return { slots, fueling: { demand, applied: false } };
+  }
+
+  const preferred = WORKOUT_TIMES[String(workoutPreferredTime || '').toLowerCase()];
+  const workoutTime = preferred || WORKOUT_TIMES[DEFAULT_WORKOUT_TIME];
+  const workoutMinutes = toClockMinutes(workoutTime);
+  const preTime = formatClockMinutes(workoutMinutes - PRE_WORKOUT_LEAD_MINUTES);
+
+  let preWorkoutSkipped = null;
+  if (fasting?.mode === 'ramadan') {
+    preWorkoutSkipped = 'fasting';
+  } else if (fastingTimes?.eatingWindow &&
+    (preTime < fastingTimes.eatingWindow.start || preTime > fastingTimes.eatingWindow.end)) {
+    preWorkoutSkipped = 'outside-eating-window';
+  }
+
+  const preShare = preWorkoutSkipped ? 0 : PRE_WORKOUT_SHARES[demand];
+  const fueledSlots = slots.map(slot => ({ ...slot, share: Math.round(slot.share * (1 - preShare) * 1000) / 1000 }));
+  if (!preWorkoutSkipped) {
+    fueledSlots.push({ slot: 'preWorkout', mealType: 'snack', share: preShare, time: preTime, timeSource: 'workout', focus: 'pre-workout' });
+    fueledSlots.sort((a, b) => a.time.localeCompare(b.time));
+  }
+
+  const afterWorkout = fueledSlots.filter(slot => toClockMinutes(slot.time) >= workoutMinutes);
+  const postWorkout = afterWorkout.find(slot => slot.mealType !== 'snack') || afterWorkout[0];
+  if (postWorkout) postWorkout.focus = 'post-workout';
+
+  // Weight the fueling meals, then scale the rest so each macro still adds up to the day's total
+  const macroFactors = {};
+  ['carbs', 'protein'].forEach(macro => {
+    const weighted = fueledSlots.filter(slot => FUELING_MACRO_WEIGHTS[slot.focus]);
+    const weightedShare = weighted.reduce((sum, slot) => sum + slot.share * FUELING_MACRO_WEIGHTS[slot.focus][macro], 0);
+    const remainingShare = 1 - weighted.reduce((sum, slot) => sum + slot.share, 0);
+    const otherFactor = remainingShare > 0 ? Math.max(0, 1 - weightedShare) / remainingShare : 1;
+
+    fueledSlots.forEach(slot => {
+      const factor = FUELING_MACRO_WEIGHTS[slot.focus]?.[macro] ?? otherFactor;
+      macroFactors[slot.slot] = { ...macroFactors[slot.slot], [macro]: Math.round(factor * 1000) / 1000 };
+    });
+  });
+
+  return {
+    slots: fueledSlots,
+    fueling: {
+      demand,
+      applied: true,
+      workoutTime,
+      workoutTimeSource: preferred ? 'preferred' : 'default',
+      preWorkout: preWorkoutSkipped ? null : { slot: 'preWorkout', time: preTime, share: preShare },
+      preWorkoutSkipped,
+      postWorkout: postWorkout ? { slot: postWorkout.slot, time: postWorkout.time } : null,
+      macroFactors
+    }
+  };
+};
+
+/**
+ * Calorie and macro targets of one slot
+ * On fueling days the day's macroFactors shift carbs and protein towards the workout meals.
+ */
+const calculateSlotMacroTargets = (dayTargets, slot, share) => {
+  const factors = dayTargets.fueling?.macroFactors?.[slot] || {};
+  return {
+    calories: (dayTargets.calories || 0) * share,
+    protein: (dayTargets.proteinGrams || 0) * share * (factors.protein ?? 1),
+    carbs: (dayTargets.carbsGrams || 0) * share * (factors.carbs ?? 1),
+    fat: (dayTargets.fatGrams || 0) * share
+  };
+};
+
+/**
+ * Score adjuster for a slot's selection focus; undefined for slots without one
+ *   slow-release  - Ramadan suhoor: hydrating ingredients, fibre and low sugar
+ *   pre-workout   - carb-rich, low fat and fibre so it digests before training
+ *   post-workout  - protein-forward
+ */
+const createSlotFocusAdjuster = focus => {
+  const energyShare = (recipe, grams, kcalPerGram) => (recipe.Calories > 0 ? (Number(recipe[grams]) || 0) * kcalPerGram / recipe.Calories : 0);
+
+  if (focus === 'slow-release') {
+    const hydrating = HYDRATING_KEYWORDS.map(buildTermRegex);
+    return (recipe, score) => {
+      const text = `${String(recipe.Title || '').toLowerCase()}\n${getIngredientText(recipe)}`;
+      let points = 0;
+      if (hydrating.some(regex => regex.test(text))) points += SLOW_RELEASE_POINTS.hydrating;
+      if (recipe.Fibre >= 5) points += SLOW_RELEASE_POINTS.fibre;
+      if (recipe.Sugars <= 10) points += SLOW_RELEASE_POINTS.lowSugar;
+      return score + points;
+    };
+  }
+
+  if (focus === 'pre-workout') {
+    return (recipe, score) => {
+      let points = 0;
+      if (energyShare(recipe, 'Carbs', 4) >= 0.5) points += PRE_WORKOUT_POINTS.carbRich;
+      if (recipe.Fat <= 10) points += PRE_WORKOUT_POINTS.lowFat;
+      if (recipe.Fibre <= 5) points += PRE_WORKOUT_POINTS.lowFibre;
+      return score + points;
+    };
+  }
+
+  if (focus === 'post-workout') {
+    return (recipe, score) => {
+      let points = 0;
+      if (energyShare(recipe, 'Protein', 4) >= 0.3) points += POST_WORKOUT_POINTS.proteinRich;
+      if (recipe.Protein >= 20) points += POST_WORKOUT_POINTS.highProtein;
+      return score + points;
+    };
+  }
+
+  return undefined;
+};
+
+// ============================================
+// BATCH COOKING
+// ============================================
+
+// A leftover lunch has to land this close to its slot's calories, as in the relaxed selection stage
+const LEFTOVER_CALORIE_TOLERANCE = 100;
+
+/**
+ * Number of servings a recipe makes, from its `servings` text ("4", "Serves 4", "4-6"); 0 when unknown
+ */
+const parseRecipeServings = servings => {
+  const match = String(servings ?? '').match(/\d+/);
+  return match ? parseInt(match[0]) : 0;
+};
+
+/**
+ * Resolve a stored or requested batchCooking setting
+ * Returns { batchCooking } (true or false) or { error }
+ */
+const resolveBatchCooking = value => {
+  if (value === undefined || value === null) {
+    return { batchCooking: false };
+  }
+  if (typeof value !== 'boolean') {
+    return { error: { error: 'Invalid batchCooking', message: 'batchCooking must be true or false' } };
+  }
+  return { batchCooking: value };
+};
+
+const isLeftoverMeal = meal => meal?.batch?.role === 'leftover';
+
+/**
+ * The previous day's dinner a leftover lunch on `day` can come from, or null
+ * dayOrder is the plan's weekdays in the order they are eaten; its first day has no previous day,
+ * and a dinner already feeding a leftover is not used twice.
+ * Returns { day, slot, meal }
+ */
+const findLeftoverSource = (days, day, dayOrder = DAYS_OF_WEEK) => {
+  const previousDay = dayOrder[dayOrder.indexOf(day) - 1];
+  const entry = previousDay && getDayMealEntries(days?.[previousDay]).find(([, meal]) => meal.mealType === 'dinner');
+  if (!entry || entry[1].batch) return null;
+  return { day: previousDay, slot: entry[0], meal: entry[1] };
+};
+
+/**
+ * Serve the rest of a cook-day dinner as a lunch, portioned to the lunch slot's calories
+ * The dinner has to make more servings than were eaten at dinner, and the portion has to land within
+ * LEFTOVER_CALORIE_TOLERANCE of the target; otherwise null and the slot is filled as usual.
+ * Both meals are marked with a `batch` link to each other: mutates source.meal.
+ */
+const serveLeftoverMeal = (source, { day, slot, macroTargets, activityCalories }) => {
+  // The dinner's own link, explanation, slot focus and preference labels do not carry over to the lunch
+  const recipe = { ...source.meal };
+  ['batch', 'explanation', 'focus', 'preferenceMatches'].forEach(field => delete recipe[field]);
+  const cookedPortion = recipe.portionMultiplier || 1;
+  const spareServings = parseRecipeServings(recipe.servings) - cookedPortion;
+  const { portionMultiplier, scaled } = portionRecipe(recipe, macroTargets.calories);
+
+  if (portionMultiplier > spareServings || Math.abs(scaled.Calories - macroTargets.calories) > LEFTOVER_CALORIE_TOLERANCE) {
+    return null;
+  }
+
+  const adjustedTargets = adjustTargetsForMealType(macroTargets, 'lunch', activityCalories);
+  source.meal.batch = {
+    role: 'cook',
+    leftoverDay: day,
+    leftoverSlot: slot,
+    servingsCooked: Math.round((cookedPortion + portionMultiplier) * 100) / 100
+  };
+
+  return {
+    ...recipe,
+    portionMultiplier,
+    scaled,
+    selectionScore: Math.round(calculateMacroBalanceScore({ ...recipe, ...scaled }, adjustedTargets) * 10) / 10,
+    fallbackStage: 'leftover',
+    batch: { role: 'leftover', cookDay: source.day, cookSlot: source.slot }
+  };
+};
+
+/**
+ * The other half of a batch-cooked meal at days[day][slot], with its `batch` link removed, or null
+ * Used when the meal is swapped or regenerated: a leftover whose dinner changed has to be cooked after all,
+ * and a dinner whose leftover changed only needs its own portion.
+ * Returns { day, slot, meal }
+ */
+const unlinkBatchPartner = (days, day, slot) => {
+  const batch = days?.[day]?.[slot]?.batch;
+  if (!batch) return null;
+
+  const partnerDay = batch.role === 'cook' ? batch.leftoverDay : batch.cookDay;
+  const partnerSlot = batch.role === 'cook' ? batch.leftoverSlot : batch.cookSlot;
+  const partner = days[partnerDay]?.[partnerSlot];
+  if (!partner?.batch) return null;
+
+  const meal = { ...partner };
+  delete meal.batch;
+  return { day: partnerDay, slot: partnerSlot, meal };
+};
+
+/**
+ * Number of leftover meals in a plan's days
+ */
+const countLeftoverMeals = days => DAYS_OF_WEEK.reduce((count, day) =>
+  count + getDayMealEntries(days?.[day]).filter(([, meal]) => isLeftoverMeal(meal)).length, 0);
+
+// ============================================
+// PLAN CALENDAR
+// ============================================
+
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// How far ahead a plan can be set to start
+const MAX_START_DATE_DAYS_AHEAD = 28;
+
+/**
+ * Validate an IANA timezone name such as "Europe/London"
+ * Returns { timezone } (null when unset) or { error }
+ */
+const resolveTimezone = value => {
+  if (value === undefined || value === null || value === '') {
+    return { timezone: null };
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: String(value) });
+  } catch (error) {
+    return { error: { error: 'Invalid timezone', message: 'timezone must be an IANA timezone name, e.g. "Europe/London"' } };
+  }
+  return { timezone: String(value) };
+};
+
+/**
+ * Zone label for responses: the IANA name, or "UTC+4" style for an offset
+ */
+const describeZone = zone => zone.timezone || `UTC${zone.utcOffsetHours >= 0 ? '+' : ''}${zone.utcOffsetHours || 0}`;
+
+/**
+ * Minutes a zone is ahead of UTC at `instant`
+ * A zone is { timezone } (IANA name) or, for users without one, { utcOffsetHours } from their fasting location.
+ */
+const getZoneOffsetMinutes = (zone, instant) => {
+  if (!zone?.timezone) return Math.round((zone?.utcOffsetHours || 0) * 60);
+
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: zone.timezone, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+  }).formatToParts(instant).map(({ type, value }) => [type, parseInt(value)]));
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return Math.round((localAsUtc - Math.floor(instant.getTime() / 60000) * 60000) / 60000);
+};
+
+/**
+ * Calendar date (YYYY-MM-DD) in a zone at `instant`
+ */
+const getLocalDate = (instant, zone) =>
+  new Date(instant.getTime() + getZoneOffsetMinutes(zone, instant) * 60000).toISOString().slice(0, 10);
+
+/**
+ * The instant a date starts in a zone
+ */
+const getLocalMidnight = (date, zone) => {
+  const utcMidnight = new Date(`${date}T00:00:00Z`);
+  return new Date(utcMidnight.getTime() - getZoneOffsetMinutes(zone, utcMidnight) * 60000);
+};
+
+const addDaysToDate = (date, days) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+};
+
+const getWeekdayOf = date => DAYS_OF_WEEK[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+
+/**
+ * Validate a requested plan startDate against today's date in the user's zone
+ * The plan can start today or up to MAX_START_DATE_DAYS_AHEAD days later; without a startDate it starts today.
+ * Returns { startDate } or { error }
+ */
+const resolvePlanStartDate = (value, today) => {
+  if (value === undefined || value === null || value === '') {
+    return { startDate: today };
+  }
+
+  const startDate = String(value);
+  if (!ISO_DATE_REGEX.test(startDate) || isNaN(Date.parse(`${startDate}T00:00:00Z`)) ||
+      new Date(`${startDate}T00:00:00Z`).toISOString().slice(0, 10) !== startDate) {
+    return { error: { error: 'Invalid startDate', message: 'startDate must be a date in YYYY-MM-DD format' } };
+  }
+
+  const latest = addDaysToDate(today, MAX_START_DATE_DAYS_AHEAD);
+  if (startDate < today || startDate > latest) {
+    return {
+      error: {
+        error: 'Invalid startDate',
+        message: `startDate must be between today (${today}) and ${latest}`
+      }
+    };
+  }
+
+  return { startDate };
+};
+
+/**
+ * Seven plan days from startDate: { startDate, endDate, timezone, utcOffsetHours, days: [{ date, weekday }] }
+ */
+const buildPlanCalendar = (startDate, zone) => {
+  const days = [0, 1, 2, 3, 4, 5, 6].map(offset => {
+    const date = addDaysToDate(startDate, offset);
+    return { date, weekday: getWeekdayOf(date) };
+  });
+
+  return {
+    startDate,
+    endDate: days[days.length - 1].date,
+    timezone: zone.timezone,
+    utcOffsetHours: zone.timezone ? null : zone.utcOffsetHours,
+    days
+  };
+};
+
+/**
+ * Weekdays of a plan in the order they are eaten; plans from before calendar dates start on Monday
+ */
+const getPlanDayOrder = plan => (plan.calendar?.days ? plan.calendar.days.map(entry => entry.weekday) : DAYS_OF_WEEK);
+
+/**
+ * Start and end instants of a plan (the end is midnight after its last day)
+ */
+const getPlanDates = calendar => {
+  const zone = { timezone: calendar.timezone, utcOffsetHours: calendar.utcOffsetHours };
+  return {
+    planStartDate: getLocalMidnight(calendar.startDate, zone),
+    planEndDate: getLocalMidnight(addDaysToDate(calendar.endDate, 1), zone)
+  };
+};
+
+/**
+ * Find a plan day from a route parameter: a weekday name (any case) or one of the plan's dates
+ */
+const findPlanDay = (plan, value) => {
+  const requested = String(value);
+  const dated = plan.calendar?.days?.find(entry => entry.date === requested);
+  if (dated) return plan.days?.[dated.weekday] ? dated.weekday : undefined;
+  return Object.keys(plan.days || {}).find(day => day.toLowerCase() === requested.toLowerCase());
+};
+
+// ============================================
+// PLAN NUTRITION SUMMARY
+// ============================================
+
+// Nutrients totalled in a plan's `achieved` block, keyed by the recipe field they come from
+const ACHIEVED_NUTRIENTS = {
+  calories: 'Calories',
+  protein: 'Protein',
+  carbs: 'Carbs',
+  fat: 'Fat',
+  fibre: 'Fibre',
+  sugars: 'Sugars',
+  salt: 'Salt',
+  saturates: 'Saturates'
+};
+
+// Nutrients with a daily target in dailyTargetDetails; only these count towards adherence
+const TARGETED_NUTRIENTS = {
+  calories: 'calories',
+  protein: 'proteinGrams',
+  carbs: 'carbsGrams',
+  fat: 'fatGrams'
+};
+
+const roundTo1 = value => Math.round(value * 10) / 10;
+
+/**
+ * Deviation of achieved totals from their targets, and an adherence score
+ * The score is 100 minus the mean absolute percentage deviation, floored at 0; null without targets
+ */
+const compareToTargets = (achieved, targets = {}) => {
+  const deviation = {};
+  const misses = [];
+
+  Object.entries(TARGETED_NUTRIENTS).forEach(([nutrient, targetField]) => {
+    const target = targets[targetField];
+    if (!(target > 0)) return;
+
+    const difference = achieved[nutrient] - target;
+    const percent = (difference / target) * 100;
+    deviation[nutrient] = { target, difference: roundTo1(difference), percent: roundTo1(percent) };
+    misses.push(Math.abs(percent));
+  });
+
+  const adherenceScore = misses.length
+    ? roundTo1(Math.max(0, 100 - misses.reduce((sum, miss) => sum + miss, 0) / misses.length))
+    : null;
+
+  return { deviation, adherenceScore };
+};
+
+/**
+ * Per-day and weekly nutrition actually provided by a plan's meals, against dailyTargetDetails
+ * Uses each meal's scaled portion; empty slots count as zero.
+ * Weekly values are totals for the week, and the weekly adherence score is the mean of the daily scores.
+ */
+const summarisePlanNutrition = plan => {
+  const emptyTotals = () => Object.fromEntries(Object.keys(ACHIEVED_NUTRIENTS).map(nutrient => [nutrient, 0]));
+  const days = {};
+  const weeklyTotals = emptyTotals();
+  const weeklyTargets = {};
+  const dailyScores = [];
+
+  Object.entries(plan.days || {}).forEach(([day, dayData]) => {
+    const totals = emptyTotals();
+    const meals = getDayMealEntries(dayData);
+    meals.forEach(([, meal]) => {
+      const nutrition = getMealNutrition(meal);
+      Object.entries(ACHIEVED_NUTRIENTS).forEach(([nutrient, field]) => {
+        totals[nutrient] += Number(nutrition[field]) || 0;
+      });
+    });
+
+    Object.keys(totals).forEach(nutrient => {
+      weeklyTotals[nutrient] += totals[nutrient];
+      totals[nutrient] = roundTo1(totals[nutrient]);
+    });
+
+    const targets = plan.dailyTargetDetails?.[day] || {};
+    Object.values(TARGETED_NUTRIENTS).forEach(field => {
+      weeklyTargets[field] = (weeklyTargets[field] || 0) + (Number(targets[field]) || 0);
+    });
+
+    const comparison = compareToTargets(totals, targets);
+    if (comparison.adherenceScore !== null) dailyScores.push(comparison.adherenceScore);
+    days[day] = { ...totals, mealsCounted: meals.length, ...comparison };
+  });
+
+  const dayCount = Object.keys(days).length;
+  Object.keys(weeklyTotals).forEach(nutrient => {
+    weeklyTotals[nutrient] = roundTo1(weeklyTotals[nutrient]);
+  });
+
+  return {
+    days,
+    weekly: {
+      ...weeklyTotals,
+      dailyAverage: Object.fromEntries(Object.entries(weeklyTotals)
+        .map(([nutrient, total]) => [nutrient, dayCount ? roundTo1(total / dayCount) : 0])),
+      deviation: compareToTargets(weeklyTotals, weeklyTargets).deviation,
+      adherenceScore: dailyScores.length
+        ? roundTo1(dailyScores.reduce((sum, score) => sum + score, 0) / dailyScores.length)
+        : null
+    }
+  };
+};
+
+// ============================================
+// DAILY NUTRIENT CAPS
+// ============================================
+
+// Daily ceilings (grams) for sugars, salt and saturated fat, per dietary guideline
+const NUTRIENT_CAP_PROFILES = {
+  'uk-ri': { name: 'UK Reference Intakes', sugars: 90, salt: 6, saturates: 20 },
+  'who': { name: 'WHO healthy diet', sugars: 50, salt: 5, saturates: 22 },
+  'us-dga': { name: 'US Dietary Guidelines', sugars: 50, salt: 5.8, saturates: 22 }
+};
+const DEFAULT_GUIDELINE_PROFILE = 'uk-ri';
+
+// Capped nutrient -> recipe field
+const CAPPED_NUTRIENTS = { sugars: 'Sugars', salt: 'Salt', saturates: 'Saturates' };
+
+// Upper bound on meal swaps while fitting one day under its caps
+const MAX_CAP_SWAPS_PER_DAY = 12;
+
+/**
+ * Resolve a guideline profile plus per-nutrient overrides into daily caps
+ * Returns { caps: { profile, sugars, salt, saturates } } on success, or { error } holding the 400 response body
+ */
+const resolveNutrientCaps = (profileName, overrides) => {
+  const profile = String(profileName || DEFAULT_GUIDELINE_PROFILE).toLowerCase();
+  if (!NUTRIENT_CAP_PROFILES[profile]) {
+    return {
+      error: {
+        error: 'Invalid guidelineProfile',
+        message: `guidelineProfile must be one of: ${Object.keys(NUTRIENT_CAP_PROFILES).join(', ')}`
+      }
+    };
+  }
+
+  if (overrides !== undefined && overrides !== null && (typeof overrides !== 'object' || Array.isArray(overrides))) {
+    return { error: { error: 'Invalid nutrientCaps', message: 'nutrientCaps must be an object, e.g. { "sugars": 60 }' } };
+  }
+
+  const caps = { profile };
+  for (const nutrient of Object.keys(CAPPED_NUTRIENTS)) {
+    const override = overrides?.[nutrient];
+    if (override === undefined || override === null) {
+      caps[nutrient] = NUTRIENT_CAP_PROFILES[profile][nutrient];
+      continue;
+    }
+
+    const value = parseFloat(override);
+    if (isNaN(value) || value <= 0) {
+      return { error: { error: 'Invalid nutrientCaps', message: `nutrientCaps.${nutrient} must be a positive number of grams` } };
+    }
+    caps[nutrient] = value;
+  }
+
+  return { caps };
+};
+
+/**
+ * Daily totals of the capped nutrients for a day's meals
+ */
+const getDayCappedTotals = dayMeals => {
+  const totals = Object.fromEntries(Object.keys(CAPPED_NUTRIENTS).map(nutrient => [nutrient, 0]));
+  getDayMealEntries(dayMeals).forEach(([, meal]) => {
+    const nutrition = getMealNutrition(meal);
+    Object.entries(CAPPED_NUTRIENTS).forEach(([nutrient, field]) => {
+      totals[nutrient] += Number(nutrition[field]) || 0;
+    });
+  });
+  return totals;
+};
+
+/**
+ * How far a day is over its caps: the sum of each nutrient's excess as a fraction of its cap (0 when it fits)
+ */
+const getCapExcess = (totals, caps) => Object.keys(CAPPED_NUTRIENTS)
+  .reduce((excess, nutrient) => excess + Math.max(0, totals[nutrient] / caps[nutrient] - 1), 0);
+
+// Stages that only pick recipes not used elsewhere in the plan
+const UNIQUE_PICK_STAGES = ['strict', 'relaxed', 'nutrient-cap'];
+
+/**
+ * Swap meals until a day fits under its nutrient caps, or no swap brings it closer
+ * Each round looks at slots in order of their share of the excess and swaps in the recipe that best
+ * reduces it, preferring recipes that make the day fit and then the best macro score.
+ * Replacements are portion-scaled to the slot, stay within ±100 kcal of its target, within the
+ * day's cooking time limits and, once scaled, within the medical recipe limits. Mutates dayMeals.
+ * Returns the number of swaps made.
+ */
+const fitDayToNutrientCaps = (dayMeals, caps, { slotTargets, recipesByMealType, usedRecipeIds, timeLimits, recipeLimits }) => {
+  let swaps = 0;
+
+  while (swaps < MAX_CAP_SWAPS_PER_DAY) {
+    const totals = getDayCappedTotals(dayMeals);
+    const excess = getCapExcess(totals, caps);
+    if (excess === 0) break;
+
+    // Slots ranked by how much they contribute to the nutrients that are over
+    const overNutrients = Object.keys(CAPPED_NUTRIENTS).filter(nutrient => totals[nutrient] > caps[nutrient]);
+    const rankedSlots = getDayMealEntries(dayMeals)
+      .map(([slot, meal]) => {
+        const nutrition = getMealNutrition(meal);
+        const contribution = overNutrients.reduce(
+          (sum, nutrient) => sum + (Number(nutrition[CAPPED_NUTRIENTS[nutrient]]) || 0) / caps[nutrient], 0
+        );
+        return { slot, meal, contribution };
+      })
+      // Leftovers are fixed by the dinner they come from
+      .filter(({ slot, meal, contribution }) => contribution > 0 && slotTargets[slot] && !isLeftoverMeal(meal))
+      .sort((a, b) => b.contribution - a.contribution);
+
+    let best = null;
+    for (const { slot, meal } of rankedSlots) {
+      const { mealType, macroTargets, activityCalories } = slotTargets[slot];
+      const adjustedTargets = adjustTargetsForMealType(macroTargets, mealType, activityCalories);
+
+      for (const recipe of recipesByMealType[mealType] || []) {
+        if (!(recipe?.Calories > 0) || !isValidRecipe(recipe, timeLimits) || usedRecipeIds.has(recipe.id) || recipe.id === meal.id) continue;
+
+        const { portionMultiplier, scaled } = portionRecipe(recipe, macroTargets.calories);
+        if (Math.abs(scaled.Calories - macroTargets.calories) > 100 || !fitsRecipeLimits(scaled, recipeLimits)) continue;
+
+        const candidateExcess = getCapExcess(getDayCappedTotals({ ...dayMeals, [slot]: { ...meal, scaled } }), caps);
+        if (candidateExcess >= excess) continue;
+
+        const score = calculateMacroBalanceScore({ ...recipe, ...scaled }, adjustedTargets);
+        const fits = candidateExcess === 0;
+        const better = !best ||
+          (fits && (best.excess > 0 || score > best.score)) ||
+          (!fits && best.excess > 0 && candidateExcess < best.excess);
+        if (better) best = { slot, meal, recipe, portionMultiplier, scaled, score, excess: candidateExcess };
+      }
+
+      // Stop at the first slot that can improve the day; the next round re-ranks
+      if (best) break;
+    }
+
+    if (!best) break;
+
+    // Only the slot's own fields carry over; stage, score, matches and explanation belong to the old recipe
+    const { meal } = best;
+    dayMeals[best.slot] = {
+      ...best.recipe,
+      portionMultiplier: best.portionMultiplier,
+      scaled: best.scaled,
+      selectionScore: Math.round(best.score * 10) / 10,
+      fallbackStage: 'nutrient-cap',
+      slot: best.slot,
+      mealType: meal.mealType,
+      scheduledTime: meal.scheduledTime || null,
+      calorieShare: meal.calorieShare,
+      targetCalories: meal.targetCalories,
+      ...(meal.focus && { focus: meal.focus })
+    };
+    // A recipe picked as unique is free again; repeats may still be in use elsewhere in the plan
+    if (UNIQUE_PICK_STAGES.includes(meal.fallbackStage)) usedRecipeIds.delete(meal.id);
+    usedRecipeIds.add(best.recipe.id);
+    swaps++;
+  }
+
+  return swaps;
+};
+
+/**
+ * Final daily totals of the capped nutrients against the caps, for the plan's `nutrientCaps` report
+ */
+const summariseNutrientCaps = (days, caps, swapsMade = 0) => {
+  const report = {};
+  const daysOverCap = [];
+
+  Object.entries(days || {}).forEach(([day, dayMeals]) => {
+    const totals = getDayCappedTotals(dayMeals);
+    const dayReport = {};
+    Object.keys(CAPPED_NUTRIENTS).forEach(nutrient => {
+      dayReport[nutrient] = {
+        total: roundTo1(totals[nutrient]),
+        cap: caps[nutrient],
+        within: totals[nutrient] <= caps[nutrient]
+      };
+    });
+    dayReport.withinCaps = Object.keys(CAPPED_NUTRIENTS).every(nutrient => dayReport[nutrient].within);
+    if (!dayReport.withinCaps) daysOverCap.push(day);
+    report[day] = dayReport;
+  });
+
+  return {
+    profile: caps.profile,
+    limits: Object.fromEntries(Object.keys(CAPPED_NUTRIENTS).map(nutrient => [nutrient, caps[nutrient]])),
+    swapsMade,
+    daysOverCap,
+    days: report
+  };
+};
+
+/**
+ * Caps a saved plan was built with, or null for plans generated before nutrient caps
+ */
+const getPlanNutrientCaps = plan => (plan.nutrientCaps?.limits
+  ? { profile: plan.nutrientCaps.profile, ...plan.nutrientCaps.limits }
+  : null);
+
+// ============================================
+// MEDICAL CONDITION RULES
+// ============================================
+
+// Nutrition rules per medical condition from health-information:
+//   macroLimits  - maximum share of calories for a macro; the excess moves to the macros without a limit
+//   caps         - daily nutrient caps in grams, used when stricter than the guideline profile
+//   recipeLimits - per-serving ceilings; recipes above them are filtered out
+//   diets        - dietary preferences the condition requires
+const MEDICAL_CONDITION_RULES = {
+  diabetes: {
+    description: 'Lower sugar and a lower carbohydrate share for blood glucose control',
+    macroLimits: { carbs: 0.35 },
+    caps: { sugars: 30 },
+    recipeLimits: { Sugars: 15 }
+  },
+  hypertension: {
+    description: 'Lower salt for blood pressure',
+    caps: { salt: 4 },
+    recipeLimits: { Salt: 1.5 }
+  },
+  'high-cholesterol': {
+    description: 'Lower saturated fat and a lower fat share for blood cholesterol',
+    macroLimits: { fat: 0.3 },
+    caps: { saturates: 13 },
+    recipeLimits: { Saturates: 6 }
+  },
+  celiac: {
+    description: 'Strictly gluten-free recipes',
+    diets: ['gluten-free']
+  }
+};
+
+const MEDICAL_CONDITION_ALIASES = {
+  diabetic: 'diabetes',
+  'type 1 diabetes': 'diabetes',
+  'type 2 diabetes': 'diabetes',
+  'diabetes type 1': 'diabetes',
+  'diabetes type 2': 'diabetes',
+  prediabetes: 'diabetes',
+  'pre-diabetes': 'diabetes',
+  'insulin resistance': 'diabetes',
+  'high blood pressure': 'hypertension',
+  'high cholesterol': 'high-cholesterol',
+  cholesterol: 'high-cholesterol',
+  hypercholesterolemia: 'high-cholesterol',
+  hypercholesterolaemia: 'high-cholesterol',
+  hyperlipidemia: 'high-cholesterol',
+  hyperlipidaemia: 'high-cholesterol',
+  coeliac: 'celiac',
+  'celiac disease': 'celiac',
+  'coeliac disease': 'celiac'
+};
+
+// Form answers that mean "no conditions" rather than an unknown condition
+const NO_CONDITION_VALUES = ['none', 'no', 'n/a', 'na'];
+
+/**
+ * Map medical conditions (array or comma-separated string) to rule keys
+ * Returns { conditions, unrecognised }
+ */
+const resolveMedicalConditions = conditions => {
+  const resolved = new Set();
+  const unrecognised = [];
+
+  toTrimmedList(conditions).map(value => value.toLowerCase()).forEach(value => {
+    if (NO_CONDITION_VALUES.includes(value)) return;
+
+    const condition = MEDICAL_CONDITION_RULES[value] ? value : MEDICAL_CONDITION_ALIASES[value];
+    if (condition) {
+      resolved.add(condition);
+    } else {
+      unrecognised.push(value);
+    }
+  });
+
+  return { conditions: [...resolved], unrecognised };
+};
+
+/**
+ * Combine the rules of several conditions, keeping the strictest limit for each nutrient
+ */
+const combineMedicalConditionRules = conditions => {
+  const combined = { macroLimits: {}, caps: {}, recipeLimits: {}, diets: [], applied: [] };
+  const keepLowest = (target, limits = {}) => {
+    Object.entries(limits).forEach(([key, value]) => {
+      target[key] = target[key] === undefined ? value : Math.min(target[key], value);
+    });
+  };
+
+  conditions.forEach(condition => {
+    const rule = MEDICAL_CONDITION_RULES[condition];
+    if (!rule) return;
+
+    keepLowest(combined.macroLimits, rule.macroLimits);
+    keepLowest(combined.caps, rule.caps);
+    keepLowest(combined.recipeLimits, rule.recipeLimits);
+    (rule.diets || []).forEach(diet => {
+      if (!combined.diets.includes(diet)) combined.diets.push(diet);
+    });
+    combined.applied.push({ condition, ...rule });
+  });
+
+  return combined;
+};
+
+/**
+ * Cap macro shares at their limits and spread the freed share over the unlimited macros, in proportion
+ * Shares are left unchanged when every macro is limited
+ */
+const applyMacroLimits = (percentages, macroLimits = {}) => {
+  const limited = Object.keys(macroLimits).filter(macro => percentages[macro] > macroLimits[macro]);
+  const unlimited = Object.keys(percentages).filter(macro => macroLimits[macro] === undefined);
+  if (limited.length === 0 || unlimited.length === 0) return { ...percentages };
+
+  const adjusted = { ...percentages };
+  const freed = limited.reduce((sum, macro) => sum + percentages[macro] - macroLimits[macro], 0);
+  const unlimitedTotal = unlimited.reduce((sum, macro) => sum + percentages[macro], 0);
+
+  limited.forEach(macro => { adjusted[macro] = macroLimits[macro]; });
+  unlimited.forEach(macro => {
+    const weight = unlimitedTotal > 0 ? percentages[macro] / unlimitedTotal : 1 / unlimited.length;
+    adjusted[macro] = Math.round((percentages[macro] + freed * weight) * 1000) / 1000;
+  });
+
+  return adjusted;
+};
+
+/**
+ * Whether a recipe stays within per-serving limits such as { Sugars: 15 }
+ */
+const fitsRecipeLimits = (recipe, recipeLimits = {}) => Object.entries(recipeLimits)
+  .every(([field, limit]) => (Number(recipe[field]) || 0) <= limit);
+
+/**
+ * Nutrient caps tightened by medical rules: each cap is the lower of the guideline value and the rule
+ */
+const tightenNutrientCaps = (caps, ruleCaps = {}) => {
+  const tightened = { ...caps };
+  Object.entries(ruleCaps).forEach(([nutrient, limit]) => {
+    if (tightened[nutrient] === undefined || limit < tightened[nutrient]) tightened[nutrient] = limit;
+  });
+  return tightened;
+};
+
+// ============================================
+// FOOD PREFERENCE SCORING
+// ============================================
+
+// Words in a recipe's title or ingredients that mark each cuisine in foodPreference
+const CUISINE_KEYWORDS = {
+  italian: ['pasta', 'spaghetti', 'penne', 'lasagne', 'lasagna', 'risotto', 'gnocchi', 'pesto', 'parmesan', 'mozzarella', 'ricotta', 'prosciutto', 'bruschetta', 'focaccia'],
+  mexican: ['tortilla', 'taco', 'burrito', 'fajita', 'enchilada', 'quesadilla', 'salsa', 'jalapeno', 'chipotle', 'guacamole', 'black beans'],
+  indian: ['curry', 'masala', 'tikka', 'dal', 'dhal', 'paneer', 'naan', 'chapati', 'garam masala', 'turmeric', 'biryani', 'korma', 'chana'],
+  chinese: ['stir-fry', 'stir fry', 'soy sauce', 'hoisin', 'pak choi', 'bok choy', 'five-spice', 'chow mein', 'szechuan', 'oyster sauce'],
+  japanese: ['miso', 'teriyaki', 'sushi', 'edamame', 'udon', 'soba', 'mirin', 'nori', 'wasabi', 'katsu'],
+  thai: ['thai', 'lemongrass', 'fish sauce', 'coconut milk', 'pad thai', 'galangal', 'kaffir lime', 'green curry paste', 'red curry paste'],
+  mediterranean: ['olive', 'feta', 'hummus', 'houmous', 'couscous', 'chickpea', 'tahini', 'halloumi', 'tzatziki', 'aubergine'],
+  'middle-eastern': ['shawarma', 'falafel', 'tahini', 'za\'atar', 'sumac', 'bulgur', 'pitta', 'harissa', 'tabbouleh', 'labneh'],
+  french: ['gratin', 'dijon', 'ratatouille', 'crepe', 'brioche', 'quiche', 'bearnaise', 'tarragon']
+};
+
+const CUISINE_ALIASES = {
+  'middle eastern': 'middle-eastern',
+  arabic: 'middle-eastern',
+  lebanese: 'middle-eastern',
+  greek: 'mediterranean',
+  'tex-mex': 'mexican',
+  asian: 'chinese'
+};
+
+// Snack habits that stand for a group of foods; other habits are matched as written
+const SNACK_TYPE_KEYWORDS = {
+  fruit: ['fruit', 'apple', 'banana', 'berry', 'berries', 'grape', 'orange', 'pear', 'mango', 'kiwi', 'melon'],
+  nuts: ['nut', 'almond', 'walnut', 'cashew', 'peanut', 'pistachio', 'hazelnut', 'pecan', 'trail mix'],
+  yogurt: ['yogurt', 'yoghurt', 'skyr', 'kefir'],
+  vegetables: ['carrot', 'cucumber', 'celery', 'pepper', 'crudites', 'vegetable'],
+  cheese: ['cheese', 'cheddar', 'cottage cheese'],
+  'protein bars': ['protein bar', 'protein ball', 'energy ball', 'protein powder'],
+  crackers: ['cracker', 'rice cake', 'oatcake', 'crispbread']
+};
+
+const SNACK_TYPE_ALIASES = { fruits: 'fruit', nut: 'nuts', yoghurt: 'yogurt', veg: 'vegetables', veggies: 'vegetables', 'protein bar': 'protein bars' };
+
+// Bonus points at preferenceWeight 1; macro balance scores run 0-100
+const PREFERENCE_POINTS = { like: 12, cuisine: 8, snackType: 10 };
+const MAX_PREFERENCE_BONUS = 25;
+const DEFAULT_PREFERENCE_WEIGHT = 0.5;
+
+/**
+ * Resolve foodLikes, snackHabits and the cuisines in foodPreference into a preference profile
+ * foodPreference values that are not a cuisine (e.g. "organic") are returned in `ignored`.
+ * Returns { profile } or { error } when preferenceWeight is outside 0-1
+ */
+const resolveFoodPreferences = ({ foodLikes, snackHabits, foodPreference, preferenceWeight }) => {
+  const weight = preferenceWeight === undefined || preferenceWeight === null || preferenceWeight === ''
+    ? DEFAULT_PREFERENCE_WEIGHT
+    : parseFloat(preferenceWeight);
+  if (isNaN(weight) || weight < 0 || weight > 1) {
+    return { error: { error: 'Invalid preferenceWeight', message: 'preferenceWeight must be between 0 (ignore preferences) and 1' } };
+  }
+
+  const lower = list => [...new Set(toTrimmedList(list).map(value => value.toLowerCase()))];
+  const cuisines = [];
+  const ignored = [];
+  lower(foodPreference).forEach(value => {
+    const cuisine = CUISINE_ALIASES[value] || value;
+    if (CUISINE_KEYWORDS[cuisine]) {
+      if (!cuisines.includes(cuisine)) cuisines.push(cuisine);
+    } else {
+      ignored.push(value);
+    }
+  });
+
+  return {
+    profile: {
+      weight,
+      likes: lower(foodLikes),
+      snackTypes: lower(snackHabits).map(value => SNACK_TYPE_ALIASES[value] || value),
+      cuisines,
+      ignored
+    }
+  };
+};
+
+/**
+ * Score adjuster that adds a bonus for liked ingredients, favourite cuisines and, in snack slots,
+ * preferred snack types, scaled by the profile's weight
+ * Also exposes getMatches(recipe, mealType) for labelling chosen meals.
+ * Returns undefined when the weight is 0 or there is nothing to match.
+ */
+const createPreferenceScorer = profile => {
+  if (!profile || !profile.weight) return undefined;
+  if (!profile.likes.length && !profile.cuisines.length && !profile.snackTypes.length) return undefined;
+
+  const toRegexes = terms => terms.map(term => ({ term, regex: buildTermRegex(term) }));
+  const likes = toRegexes(profile.likes);
+  const cuisines = profile.cuisines.map(cuisine => ({ term: cuisine, regexes: CUISINE_KEYWORDS[cuisine].map(buildTermRegex) }));
+  const snackTypes = profile.snackTypes.map(type => ({
+    term: type,
+    regexes: (SNACK_TYPE_KEYWORDS[type] || [type]).map(buildTermRegex)
+  }));
+
+  // Matches depend only on the recipe, so cache them per recipe object
+  const cache = new WeakMap();
+  const findMatches = recipe => {
+    if (cache.has(recipe)) return cache.get(recipe);
+    const text = `${String(recipe.Title || '').toLowerCase()}\n${getIngredientText(recipe)}`;
+    const matches = {
+      likes: likes.filter(({ regex }) => regex.test(text)).map(({ term }) => term),
+      cuisines: cuisines.filter(({ regexes }) => regexes.some(regex => regex.test(text))).map(({ term }) => term),
+      snackTypes: snackTypes.filter(({ regexes }) => regexes.some(regex => regex.test(text))).map(({ term }) => term)
+    };
+    cache.set(recipe, matches);
+    return matches;
+  };
+
+  const getMatches = (recipe, mealType) => {
+    const { likes: likeMatches, cuisines: cuisineMatches, snackTypes: snackMatches } = findMatches(recipe);
+    return { likes: likeMatches, cuisines: cuisineMatches, snackTypes: mealType === 'snack' ? snackMatches : [] };
+  };
+
+  const scorer = (recipe, score, mealType) => {
+    const matches = getMatches(recipe, mealType);
+    const points = matches.likes.length * PREFERENCE_POINTS.like +
+      (matches.cuisines.length ? PREFERENCE_POINTS.cuisine : 0) +
+      (matches.snackTypes.length ? PREFERENCE_POINTS.snackType : 0);
+    return score + Math.min(points, MAX_PREFERENCE_BONUS) * profile.weight;
+  };
+  scorer.getMatches = getMatches;
+  return scorer;
+};
+
+/**
+ * Non-empty preference matches for a recipe, or null when nothing matched
+ */
+const findPreferenceMatches = (recipe, mealType, preferenceScorer) => {
+  const matches = preferenceScorer.getMatches(recipe, mealType);
+  const found = Object.fromEntries(Object.entries(matches).filter(([, terms]) => terms.length > 0));
+  return Object.keys(found).length > 0 ? found : null;
+};
+
+/**
+ * Number of meals in a plan's days that matched a food preference
+ */
+const countPreferenceMatchedMeals = days => DAYS_OF_WEEK.reduce((count, day) =>
+  count + getDayMealEntries(days?.[day]).filter(([, meal]) => meal.preferenceMatches).length, 0);
+
+/**
+ * Chain score adjusters, skipping missing ones; undefined when there are none
+ */
+const combineScoreAdjusters = (...adjusters) => {
+  const active = adjusters.filter(Boolean);
+  if (active.length === 0) return undefined;
+  return (recipe, score, mealType) => active.reduce((acc, adjust) => adjust(recipe, acc, mealType), score);
+};
+
+/**
+ * Store the preferences each of a day's meals matched as `preferenceMatches`; mutates dayMeals
+ */
+const labelPreferenceMatches = (dayMeals, preferenceScorer) => {
+  if (!preferenceScorer) return;
+  getDayMealEntries(dayMeals).forEach(([, meal]) => {
+    const found = findPreferenceMatches(meal, meal.mealType, preferenceScorer);
+    if (found) meal.preferenceMatches = found;
+  });
+};
+
+// ============================================
+// MEAL EXPLANATIONS
+// ============================================
+
+// Stages of selectMealWithFallback that apply the preference bonus, recent-plan penalty and slot focus,
+// and meal swaps, which score the chosen recipe as rankMealAlternatives ranked it
+const SCORE_ADJUSTED_STAGES = ['strict', 'relaxed', 'repeat', 'swap'];
+
+/**
+ * Screen a recipe collection for a plan and count what each filter removed
+ * Filters run in order (allergens, dislikes, diets, medical recipe limits), so each recipe is counted once.
+ * Returns { pool, allergenExclusions, screening: { total, filteredOut } }
+ */
+const screenRecipePool = (rawRecipes, { allergenProfile, dislikeList, diets, recipeLimits }) => {
+  const { allowed, excluded } = screenRecipesForAllergens(rawRecipes, allergenProfile);
+  const withoutDislikes = filterRecipes(allowed, [], dislikeList);
+  const withinDiets = filterRecipesByDiet(withoutDislikes, diets);
+  const pool = withinDiets.filter(recipe => fitsRecipeLimits(recipe, recipeLimits));
+
+  return {
+    pool,
+    allergenExclusions: excluded,
+    screening: {
+      total: rawRecipes.length,
+      filteredOut: {
+        allergies: excluded.length,
+        dislikes: allowed.length - withoutDislikes.length,
+        dietaryPreferences: withoutDislikes.length - withinDiets.length,
+        medicalRules: withinDiets.length - pool.length
+      }
+    }
+  };
+};
+
+/**
+ * Why a meal was picked for its slot, stored on the meal as `explanation`
+ * Covers the slot target, how far the served portion is from it, the macro score before adjustments,
+ * the preference bonus, recent-plan penalty and slot focus bonus, the fallback stage and the recipes filtered out of the candidates.
+ * screening and pool come from screenRecipePool for the meal's type.
+ */
+const explainMealChoice = (meal, { macroTargets, activityCalories, screening, pool = [], timeLimits, preferenceScorer, recentPenalty, focus }) => {
+  const round = value => Math.round(value * 10) / 10;
+  const served = getMealNutrition(meal);
+  const macroScore = calculateMacroBalanceScore(
+    { ...meal, ...served }, adjustTargetsForMealType(macroTargets, meal.mealType, activityCalories)
+  );
+  const adjusted = SCORE_ADJUSTED_STAGES.includes(meal.fallbackStage);
+  const outsideTimeLimits = pool.filter(recipe => !isValidRecipe(recipe, timeLimits)).length;
+
+  return {
+    target: {
+      calories: Math.round(macroTargets.calories),
+      proteinGrams: round(macroTargets.protein),
+      carbsGrams: round(macroTargets.carbs),
+      fatGrams: round(macroTargets.fat)
+    },
+    deviation: {
+      calories: round(served.Calories - macroTargets.calories),
+      proteinGrams: round(served.Protein - macroTargets.protein),
+      carbsGrams: round(served.Carbs - macroTargets.carbs),
+      fatGrams: round(served.Fat - macroTargets.fat)
+    },
+    macroScore: round(macroScore),
+    preferenceBoost: {
+      points: adjusted && preferenceScorer ? round(preferenceScorer(meal, 0, meal.mealType)) : 0,
+      matches: meal.preferenceMatches || null
+    },
+    recentPlanPenalty: adjusted && recentPenalty ? round(-recentPenalty(meal, 0)) : 0,
+    focusBoost: adjusted && focus ? round(createSlotFocusAdjuster(focus)(meal, 0)) : 0,
+    selectionScore: meal.selectionScore,
+    fallbackStage: meal.fallbackStage,
+    candidates: {
+      total: screening ? screening.total : null,
+      filteredOut: { ...screening?.filteredOut, timeLimits: outsideTimeLimits },
+      eligible: pool.length - outsideTimeLimits
+    }
+  };
+};
+
+/**
+ * Attach an explanation to every meal of a day that has a slot target
+ */
+const explainDayMeals = (dayMeals, { slotTargets, recipesByMealType, poolScreening, ...options }) => {
+  getDayMealEntries(dayMeals).forEach(([slot, meal]) => {
+    if (!slotTargets[slot]) return;
+    const { mealType, macroTargets, activityCalories, focus } = slotTargets[slot];
+    meal.explanation = explainMealChoice(meal, {
+      ...options,
+      macroTargets,
+      activityCalories,
+      focus,
+      screening: poolScreening[mealType],
+      pool: recipesByMealType[mealType]
+    });
+  });
+};
+
+// ============================================
+// PLAN GENERATION PIPELINE
+// ============================================
+
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Multi-week series: one plan document (and one quota credit) per week
+const MAX_PLAN_WEEKS = 4;
+
+// Cross-plan variety: how many previous plans are checked, and how many of the most recent
+// ones may not be repeated at all (older ones are only down-weighted)
+const DEFAULT_VARIETY_LOOKBACK = 4;
+const MAX_VARIETY_LOOKBACK = 12;
+const DEFAULT_MIN_REPEAT_DISTANCE = 1;
+
+// Score penalty for a recipe used in the most recent plan; halves, thirds... with each plan further back
+const RECENT_RECIPE_PENALTY = 20;
+
+/**
+ * Recipe ids of the user's most recent plans, newest first: [{ planId, recipeIds }, ...]
+ * (objects rather than nested arrays, which Firestore cannot store)
+ */
+const loadRecentPlanRecipes = async (userId, lookback) => {
+  if (!lookback) return [];
+
+  const snapshot = await db.collection('users').doc(userId).collection('nutritionPlans')
+    .orderBy('generatedAt', 'desc')
+    .limit(lookback)
+    .get();
+
+  return snapshot.docs.map(doc => ({ planId: doc.id, recipeIds: [...collectPlanRecipeIds(doc.data())] }));
+};
+
+/**
+ * Recipes from the last `minRepeatDistance` plans, which are kept out unless the pool runs out
+ */
+const getRepeatBlockedRecipeIds = (recentPlanRecipes = [], minRepeatDistance = 0) =>
+  new Set(recentPlanRecipes.slice(0, minRepeatDistance).flatMap(plan => plan.recipeIds));
+
+/**
+ * Score adjuster that down-weights recipes from recent plans, more strongly the more recent the plan
+ * Returns undefined when there is no history, so selection scores are left untouched
+ */
+const createRecentRecipePenalty = (recentPlanRecipes = []) => {
+  if (!recentPlanRecipes || recentPlanRecipes.length === 0) return undefined;
+
+  const penalties = new Map();
+  recentPlanRecipes.forEach(({ recipeIds }, index) => {
+    recipeIds.forEach(id => {
+      if (!penalties.has(id)) penalties.set(id, RECENT_RECIPE_PENALTY / (index + 1));
+    });
+  });
+
+  return (recipe, score) => score - (penalties.get(recipe.id) || 0);
+};
+
+/**
+ * Merge stored user data with request body overrides and validate the plan inputs
+ * Returns { inputs } on success, or { error } holding the 400 response body
+ */
+const resolvePlanInputs = (userData, body = {}) => {
+  const {
+    age, gender, height, weight, weeklyActivity = {},
+    fitnessLevel = '', goal = '', foodAllergies = '', foodLikes = '', foodDislikes = '',
+    name = '', email = ''
+  } = userData;
+
+  // Allow request body to override userData (for flexibility)
+  const finalAge = body.age || age;
+  const finalGender = body.gender || gender;
+  const finalHeight = body.height || height;
+  const finalWeight = body.weight || weight;
+  const finalGoal = body.goal || goal;
+  const mealsPerDay = body.mealsPerDay || userData.mealsPerDay || DEFAULT_MEALS_PER_DAY;
+  const preferredEatingTimes = body.preferredEatingTimes || userData.preferredEatingTimes || [];
+
+  if (isNaN(parseInt(mealsPerDay)) || parseInt(mealsPerDay) < 1 || parseInt(mealsPerDay) > 8) {
+    return { error: { error: 'Invalid mealsPerDay', message: 'Meals per day must be between 1 and 8' } };
+  }
+
+  const weeks = parseInt(body.weeks ?? 1);
+  if (isNaN(weeks) || weeks < 1 || weeks > MAX_PLAN_WEEKS) {
+    return { error: { error: 'Invalid weeks', message: `Weeks must be between 1 and ${MAX_PLAN_WEEKS}` } };
+  }
+
+  const varietyLookback = parseInt(body.varietyLookback ?? DEFAULT_VARIETY_LOOKBACK);
+  if (isNaN(varietyLookback) || varietyLookback < 0 || varietyLookback > MAX_VARIETY_LOOKBACK) {
+    return { error: { error: 'Invalid varietyLookback', message: `varietyLookback must be between 0 and ${MAX_VARIETY_LOOKBACK} plans` } };
+  }
+
+  const minRepeatDistance = parseInt(body.minRepeatDistance ?? DEFAULT_MIN_REPEAT_DISTANCE);
+  if (isNaN(minRepeatDistance) || minRepeatDistance < 0 || minRepeatDistance > varietyLookback) {
+    return { error: { error: 'Invalid minRepeatDistance', message: `minRepeatDistance must be between 0 and varietyLookback (${varietyLookback})` } };
+  }
+
+  // Daily sugar, salt and saturated fat caps; body values replace the stored ones
+  const { caps: nutrientCaps, error: capsError } = resolveNutrientCaps(
+    body.guidelineProfile || userData.guidelineProfile,
+    body.nutrientCaps || userData.nutrientCaps
+  );
+  if (capsError) {
+    return { error: capsError };
+  }
+
+  // BMR equation, body fat and lifestyle activity; each body value replaces the stored one
+  const { settings: energySettings, error: energyError } = resolveEnergySettings({
+    bmrFormula: body.bmrFormula || userData.bmrFormula,
+    bodyFatPercentage: body.bodyFatPercentage ?? userData.bodyFatPercentage,
+    lifestyleActivity: body.lifestyleActivity || userData.lifestyleActivity
+  });
+  if (energyError) {
+    return { error: energyError };
+  }
+
+  // Per-recipe prep and cooking time limits, optionally different at the weekend; body replaces the stored ones
+  const { limits: cookingTimeLimits, error: cookingTimeError } =
+    resolveCookingTimeLimits(body.cookingTimeLimits || userData.cookingTimeLimits || {});
+  if (cookingTimeError) {
+    return { error: cookingTimeError };
+  }
+
+  // 16:8, 18:6 or Ramadan; body fasting replaces the stored settings, { "mode": "off" } turns it off
+  const { fasting, error: fastingError } = resolveFastingSettings(body.fasting !== undefined ? body.fasting : userData.fasting);
+  if (fastingError) {
+    return { error: fastingError };
+  }
+
+  // Plan days are dated from startDate (default: today) in the user's timezone; without one, the
+  // UTC offset of a Ramadan location is used, then UTC
+  const { timezone, error: timezoneError } = resolveTimezone(body.timezone || userData.timezone);
+  if (timezoneError) {
+    return { error: timezoneError };
+  }
+  const zone = { timezone, utcOffsetHours: timezone ? null : fasting?.location?.utcOffsetHours ?? 0 };
+  const { startDate, error: startDateError } = resolvePlanStartDate(body.startDate, getLocalDate(new Date(), zone));
+  if (startDateError) {
+    return { error: startDateError };
+  }
+  // Ramadan times are calculated for the plan's own dates, so every date of every week needs a Fajr and Maghrib
+  if (fasting?.startDate) {
+    fasting.startDate = startDate;
+    const missingDate = findDateWithoutSunTimes(fasting.location, startDate, weeks * DAYS_OF_WEEK.length);
+    if (missingDate) {
+      return { error: { error: 'Invalid fasting settings', message: `Dawn or sunset cannot be calculated at this latitude on ${missingDate}; set suhoorTime and iftarTime instead` } };
+    }
+  }
+
+  // Times the pre- and post-workout meals on medium and high demand days
+  const workoutPreferredTime = body.workoutPreferredTime || userData.workoutPreferredTime || null;
+
+  // 'cycling' varies the daily macros by training load; body macroStrategy replaces the stored one
+  const { strategy: macroStrategy, error: macroStrategyError } = resolveMacroStrategy(body.macroStrategy ?? userData.macroStrategy);
+  if (macroStrategyError) {
+    return { error: macroStrategyError };
+  }
+
+  // A custom split from macro-targets replaces the goal default
+  const { split: macroPercentages, error: storedSplitError } = getStoredMacroSplit(userData);
+  if (storedSplitError) {
+    return { error: storedSplitError };
+  }
+
+  // Dinners with spare servings become the next day's lunch; body batchCooking replaces the stored setting
+  const { batchCooking, error: batchCookingError } = resolveBatchCooking(body.batchCooking ?? userData.batchCooking);
+  if (batchCookingError) {
+    return { error: batchCookingError };
+  }
+
+  const parsedAge = typeof finalAge === 'string' ? parseInt(finalAge) : finalAge;
+  const parsedHeight = typeof finalHeight === 'string' ? parseFloat(finalHeight) : finalHeight;
+  const parsedWeight = typeof finalWeight === 'string' ? parseFloat(finalWeight) : finalWeight;
+
+  if (!['male', 'female'].includes((finalGender || '').toLowerCase())) {
+    return { error: { error: 'Invalid gender', message: 'Gender must be "male" or "female"' } };
+  }
+  if (!parsedAge || parsedAge <= 0) return { error: { error: 'Invalid age', message: 'Age must be a positive number' } };
+  if (!parsedHeight || parsedHeight <= 0) return { error: { error: 'Invalid height', message: 'Height must be a positive number' } };
+  if (!parsedWeight || parsedWeight <= 0) return { error: { error: 'Invalid weight', message: 'Weight must be a positive number' } };
+
+  // Target weight and weekly rate set the calorie adjustment; a reached target switches the goal to maintain
+  const { goal: effectiveGoal, calorieAdjustment, weightGoal, error: weightGoalError } = resolveWeightGoal({
+    weight: parsedWeight,
+    goal: finalGoal,
+    targetWeight: body.targetWeight ?? userData.targetWeight,
+    weeklyRateKg: body.weeklyRateKg ?? userData.weeklyRateKg
+  });
+  if (weightGoalError) {
+    return { error: weightGoalError };
+  }
+
+  // Allergies from diet-information, health-information and foodAllergies resolve into allergen groups;
+  // body foodAllergies replaces the stored lists
+  const allergenProfile = body.foodAllergies
+    ? resolveAllergies(body.foodAllergies)
+    : resolveAllergies(userData.foodAllergies, userData.allergies, userData.medicalAllergies);
+
+  // Body foodDislikes replaces the stored list
+  const dislikeList = toTrimmedList(body.foodDislikes || userData.foodDislikes);
+
+  // Likes, snack habits and cuisines bias recipe choice; body values replace the stored ones
+  const { profile: foodPreferences, error: foodPreferenceError } = resolveFoodPreferences({
+    foodLikes: body.foodLikes || foodLikes,
+    snackHabits: body.snackHabits || userData.snackHabits,
+    foodPreference: body.foodPreference || userData.foodPreference,
+    preferenceWeight: body.preferenceWeight ?? userData.preferenceWeight
+  });
+  if (foodPreferenceError) {
+    return { error: foodPreferenceError };
+  }
+
+  // Dietary preferences (vegetarian, vegan, pescatarian, gluten-free, halal)
+  const { diets: dietaryPreferences, unrecognised: ignoredPreferences } =
+    normaliseDietaryPreferences(body.preference || userData.preference);
+
+  // Medical conditions from health-information; body medicalConditions replaces the stored list
+  const { conditions: medicalConditions, unrecognised: ignoredConditions } =
+    resolveMedicalConditions(body.medicalConditions || userData.medicalConditions);
+
+  return {
+    inputs: {
+      name,
+      email,
+      age: parsedAge,
+      gender: finalGender,
+      height: parsedHeight,
+      weight: parsedWeight,
+      goal: effectiveGoal,
+      calorieAdjustment,
+      weightGoal,
+      fitnessLevel,
+      foodAllergies,
+      foodLikes,
+      foodDislikes,
+      weeklyActivity,
+      macroPercentages,
+      mealsPerDay,
+      preferredEatingTimes,
+      allergenProfile,
+      dislikeList,
+      dietaryPreferences,
+      ignoredPreferences,
+      medicalConditions,
+      ignoredConditions,
+      weeks,
+      varietyLookback,
+      minRepeatDistance,
+      nutrientCaps,
+      energySettings,
+      cookingTimeLimits,
+      foodPreferences,
+      fasting,
+      workoutPreferredTime,
+      macroStrategy,
+      batchCooking,
+      startDate,
+      zone,
+      // Filled in by the caller from the user's previous plans (loadRecentPlanRecipes)
+      recentPlanRecipes: []
+    }
+  };
+};
+
+/**
+ * Run the BMR, daily target and recipe selection pipeline for resolved inputs
+ * Nothing is written to Firestore; callers decide whether to save the plan.
+ * Recipe selection uses a PRNG seeded with `seed` (a new one when omitted), so the same
+ * inputs, seed and recipe catalog always give the same plan.
+ * `loadRecipes` defaults to the in-memory recipe cache.
+ */
+const buildNutritionPlan = async (inputs, { userId, seed = generatePlanSeed(), loadRecipes = fetchRecipesCached } = {}) => {
+  const {
+    name, email, age, gender, height, weight, goal, fitnessLevel,
+    foodAllergies, foodLikes, foodDislikes, weeklyActivity, macroPercentages,
+    mealsPerDay, preferredEatingTimes, allergenProfile, dislikeList, dietaryPreferences, ignoredPreferences,
+    minRepeatDistance = 0, recentPlanRecipes = [], nutrientCaps = null,
+    medicalConditions = [], ignoredConditions = [], energySettings = resolveEnergySettings().settings,
+    weightGoal = null, calorieAdjustment = GOAL_CALORIE_ADJUSTMENTS[goal.toLowerCase()] ?? 0,
+    cookingTimeLimits = resolveCookingTimeLimits().limits,
+    foodPreferences = null, fasting = null, workoutPreferredTime = null, macroStrategy = 'fixed', batchCooking = false,
+    startDate = null, zone = { timezone: null, utcOffsetHours: 0 }
+  } = inputs;
+  const medicalRules = combineMedicalConditionRules(medicalConditions);
+
+  // BMR from the chosen equation, scaled by everyday (non-exercise) activity
+  const energy = calculateEnergyBaseline({ weight, height, age, gender }, energySettings);
+  energy.dailyTDEE = {};
+
+  // Set macros
+  let proteinPercentage, carbsPercentage, fatPercentage;
+  ({ protein: proteinPercentage, carbs: carbsPercentage, fat: fatPercentage } = macroPercentages || getGoalMacroSplit(goal));
+
+  // Medical conditions can cap the carb or fat share (e.g. diabetes, high cholesterol)
+  const macroSplitBeforeRules = { protein: proteinPercentage, carbs: carbsPercentage, fat: fatPercentage };
+  ({ protein: proteinPercentage, carbs: carbsPercentage, fat: fatPercentage } =
+    applyMacroLimits(macroSplitBeforeRules, medicalRules.macroLimits));
+  const macroSplitAdjusted = proteinPercentage !== macroSplitBeforeRules.protein ||
+    carbsPercentage !== macroSplitBeforeRules.carbs || fatPercentage !== macroSplitBeforeRules.fat;
+
+  // Days run from startDate; weeklyActivity and the other weekday settings follow each date's weekday.
+  // Plans built without a startDate (replays of older plans) start on Monday
+  const calendar = startDate ? buildPlanCalendar(startDate, zone) : null;
+  const dayOrder = getPlanDayOrder({ calendar });
+
+  // Calculate daily targets
+  const dailyTargetDetails = {};
+  const activityCaloriesByDay = {};
+  let totalWeeklyActivityCalories = 0;
+
+  for (const day of dayOrder) {
+    const activity = weeklyActivity?.[day];
+    const activityCalories = typeof activity?.calories === 'number' ? activity.calories : parseInt(activity?.calories) || 0;
+    activityCaloriesByDay[day] = activityCalories;
+    totalWeeklyActivityCalories += activityCalories;
+
+    const dailyTDEE = energy.baselineCalories + activityCalories;
+    energy.dailyTDEE[day] = dailyTDEE;
+    const adjustedCalories = dailyTDEE + calorieAdjustment;
+    const minCalories = gender.toLowerCase() === 'male' ? 1500 : 1200;
+    const maxCalories = dailyTDEE * 2.5;
+    const finalCalories = Math.round(Math.min(maxCalories, Math.max(minCalories, adjustedCalories)));
+
+    const proteinGrams = Math.round((finalCalories * proteinPercentage) / 4);
+    const carbsGrams = Math.round((finalCalories * carbsPercentage) / 4);
+    const fatGrams = Math.round((finalCalories * fatPercentage) / 9);
+
+    let fuelingDemandCategory = 'low';
+    if (activityCalories >= 800) fuelingDemandCategory = 'high';
+    else if (activityCalories >= 400) fuelingDemandCategory = 'medium';
+
+    dailyTargetDetails[day] = {
+      ...(calendar && { date: calendar.days.find(entry => entry.weekday === day).date }),
+      calories: finalCalories,
+      proteinGrams,
+      carbsGrams,
+      fatGrams,
+      fuelingDemandCategory
+    };
+  }
+
+  // Carb cycling varies each day's carbs and fat by training load; the week's totals stay the same
+  const macroCycling = macroStrategy === 'cycling'
+    ? applyCarbCycling(
+      dailyTargetDetails, activityCaloriesByDay,
+      { protein: proteinPercentage, carbs: carbsPercentage, fat: fatPercentage }, medicalRules.macroLimits
+    )
+    : null;
+
+  // Fetch and filter recipes
+  const [breakfastRaw, lunchRaw, dinnerRaw, snackRaw] = await Promise.all([
+    loadRecipes('breakfast_list_full_may2025'),
+    loadRecipes('lunch_list_full_may2025'),
+    loadRecipes('dinner_list_full_may2025'),
+    loadRecipes('snack_list_full_may2025')
+  ]);
+
+  // Diets required by medical conditions (e.g. celiac -> gluten-free) join the user's own
+  const diets = [...new Set([...dietaryPreferences, ...medicalRules.diets])];
+
+  const allergenExclusions = [];
+  let excludedByMedicalRules = 0;
+  const poolScreening = {};
+  const preparePool = (mealType, rawRecipes) => {
+    const { pool, allergenExclusions: excluded, screening } = screenRecipePool(rawRecipes, {
+      allergenProfile, dislikeList, diets, recipeLimits: medicalRules.recipeLimits
+    });
+    allergenExclusions.push(...excluded);
+    excludedByMedicalRules += screening.filteredOut.medicalRules;
+    poolScreening[mealType] = screening;
+    return pool;
+  };
+
+  const breakfastRecipes = preparePool('breakfast', breakfastRaw);
+  const lunchRecipes = preparePool('lunch', lunchRaw);
+  const dinnerRecipes = preparePool('dinner', dinnerRaw);
+  const snackRecipes = preparePool('snack', snackRaw);
+
+  const excludedByAllergen = countExclusionsByAllergen(allergenExclusions);
+  console.log(`Allergen screening excluded ${allergenExclusions.length} recipes`);
+
+  // Generate meal plan
+  const recipesByMealType = {
+    breakfast: breakfastRecipes,
+    lunch: lunchRecipes,
+    dinner: dinnerRecipes,
+    snack: snackRecipes
+  };
+  // Fasting days spread the day's calories over the meals inside the eating window or around the fast
+  const fastingDays = fasting && Object.fromEntries(DAYS_OF_WEEK.map(day => [day, getFastingDayTimes(fasting, day)]));
+  const getDaySlots = day => (fasting
+    ? buildFastingMealSlots(fasting, mealsPerDay, fastingDays[day])
+    : buildMealSlots(mealsPerDay, preferredEatingTimes));
+  const mealSlots = getDaySlots(DAYS_OF_WEEK[0]);
+  const planDays = {};
+
+  // Recipes from the last minRepeatDistance plans start as "used", so they only return once the pool runs out
+  const blockedRecipeIds = getRepeatBlockedRecipeIds(recentPlanRecipes, minRepeatDistance);
+  const usedRecipeIds = new Set(blockedRecipeIds); // Track recipes used across the entire week
+  const dailyCaps = nutrientCaps && tightenNutrientCaps(nutrientCaps, medicalRules.caps);
+  // Liked ingredients, cuisines and snack types lift a recipe's score by up to MAX_PREFERENCE_BONUS x weight
+  const preferenceScorer = createPreferenceScorer(foodPreferences);
+  const recentPenalty = createRecentRecipePenalty(recentPlanRecipes);
+  const selectionOptions = {
+    random: createSeededRandom(seed),
+    adjustScore: combineScoreAdjusters(recentPenalty, preferenceScorer)
+  };
+  let capSwaps = 0;
+
+  for (const day of dayOrder) {
+    const targets = dailyTargetDetails[day];
+    const activityCal = parseInt(weeklyActivity?.[day]?.calories) || 0;
+    const slotTargets = {};
+    const daySelectionOptions = { ...selectionOptions, timeLimits: getDayCookingTimeLimits(cookingTimeLimits, day), recipeLimits: medicalRules.recipeLimits };
+    planDays[day] = {};
+
+    // Medium and high demand days get a pre-workout snack and a post-workout meal
+    const { slots: daySlots, fueling } = planDayFueling(getDaySlots(day), {
+      demand: targets.fuelingDemandCategory, workoutPreferredTime, fasting, fastingTimes: fastingDays?.[day]
+    });
+    targets.fueling = fueling;
+
+    for (const { slot, mealType, share, time, focus } of daySlots) {
+      const macroTargets = calculateSlotMacroTargets(targets, slot, share);
+      const slotSelectionOptions = focus
+        ? { ...daySelectionOptions, adjustScore: combineScoreAdjusters(daySelectionOptions.adjustScore, createSlotFocusAdjuster(focus)) }
+        : daySelectionOptions;
+
+      // Batch cooking: lunch is the rest of yesterday's dinner when enough servings are left
+      const leftoverSource = batchCooking && mealType === 'lunch' && findLeftoverSource(planDays, day, dayOrder);
+      const leftover = leftoverSource && serveLeftoverMeal(leftoverSource, { day, slot, macroTargets, activityCalories: activityCal });
+      const meal = leftover || selectMealWithFallback(
+        recipesByMealType[mealType], macroTargets.calories, macroTargets, mealType, activityCal, day, usedRecipeIds, slotSelectionOptions
+      );
+
+      planDays[day][slot] = meal && {
+        ...meal,
+        slot,
+        mealType,
+        scheduledTime: time,
+        calorieShare: share,
+        targetCalories: Math.round(macroTargets.calories),
+        ...(focus && { focus })
+      };
+      slotTargets[slot] = { mealType, macroTargets, activityCalories: activityCal, focus };
+    }
+
+    if (dailyCaps) {
+      capSwaps += fitDayToNutrientCaps(planDays[day], dailyCaps, {
+        slotTargets, recipesByMealType, usedRecipeIds, timeLimits: daySelectionOptions.timeLimits, recipeLimits: medicalRules.recipeLimits
+      });
+    }
+
+    labelPreferenceMatches(planDays[day], preferenceScorer);
+    explainDayMeals(planDays[day], {
+      slotTargets, recipesByMealType, poolScreening, timeLimits: daySelectionOptions.timeLimits, preferenceScorer, recentPenalty
+    });
+  }
+
+  const planRecipeIds = [...collectPlanRecipeIds({ days: planDays })];
+  const recentRecipeIds = new Set(recentPlanRecipes.flatMap(plan => plan.recipeIds));
+  const achieved = summarisePlanNutrition({ days: planDays, dailyTargetDetails });
+  console.log(`Week plan complete for user ${userId}. Unique recipes used: ${planRecipeIds.length}, adherence: ${achieved.weekly.adherenceScore}`);
+
+  // Name and email do not affect the plan, so they are left out of the stored inputs
+  const generationInputs = { ...inputs };
+  delete generationInputs.name;
+  delete generationInputs.email;
+
+  return {
+    notes: `Plan based on goal "${goal}"`,
+    seed,
+    algorithmVersion: PLAN_ALGORITHM_VERSION,
+    calendar,
+    dailyTargetDetails,
+    mealSchedule: mealSlots,
+    dietaryPreferences: {
+      applied: diets,
+      ignored: ignoredPreferences
+    },
+    medicalRules: {
+      conditions: medicalConditions,
+      ignored: ignoredConditions,
+      applied: medicalRules.applied,
+      macroSplit: macroSplitAdjusted
+        ? { before: macroSplitBeforeRules, after: { protein: proteinPercentage, carbs: carbsPercentage, fat: fatPercentage } }
+        : null,
+      excludedRecipes: excludedByMedicalRules
+    },
+    allergenScreening: {
+      allergens: allergenProfile.allergens,
+      customTerms: allergenProfile.customTerms,
+      excludedCount: allergenExclusions.length,
+      excludedByAllergen,
+      // Capped to keep the plan document small
+      excludedRecipes: allergenExclusions.slice(0, MAX_REPORTED_ALLERGEN_EXCLUSIONS)
+    },
+    variety: {
+      recentPlansChecked: recentPlanRecipes.length,
+      minRepeatDistance,
+      blockedRecipes: blockedRecipeIds.size,
+      repeatedFromRecentPlans: planRecipeIds.filter(id => recentRecipeIds.has(id)).length
+    },
+    days: planDays,
+    achieved,
+    weightGoal: projectWeightGoal(weightGoal, dailyTargetDetails, energy.dailyTDEE, calendar?.startDate),
+    nutrientCaps: dailyCaps ? summariseNutrientCaps(planDays, dailyCaps, capSwaps) : null,
+    kitchenTime: summariseKitchenTime(planDays, cookingTimeLimits),
+    preferences: foodPreferences && { ...foodPreferences, matchedMeals: countPreferenceMatchedMeals(planDays) },
+    fasting: fasting && { ...fasting, days: fastingDays },
+    macroStrategy: macroCycling || { strategy: 'fixed' },
+    batchCooking: batchCooking ? { enabled: true, leftoverMeals: countLeftoverMeals(planDays) } : null,
+    inputDetails: {
+      name, email,
+      age,
+      gender,
+      height,
+      weight,
+      goal,
+      fitnessLevel,
+      foodAllergies, foodLikes, foodDislikes, weeklyActivity, totalWeeklyActivityCalories,
+      mealsPerDay: mealSlots.length,
+      preferredEatingTimes,
+      preference: dietaryPreferences,
+      medicalConditions,
+      energy
+    },
+    // Exact resolved inputs, so the plan can be replayed with its seed
+    generationInputs
+  };
+};
+
+/**
+ * Build inputs.weeks consecutive weekly plans
+ * Each week counts the weeks before it as the most recent plans, so variety carries across the series
+ */
+const buildPlanSeries = async (inputs, options = {}) => {
+  const series = [];
+  let history = inputs.recentPlanRecipes || [];
+
+  for (let week = 1; week <= inputs.weeks; week++) {
+    const weekInputs = { ...inputs, recentPlanRecipes: history.slice(0, inputs.varietyLookback) };
+    // Weeks run back to back; Ramadan times move with the calendar, so each week derives them from its own dates
+    if (inputs.startDate) {
+      weekInputs.startDate = addDaysToDate(inputs.startDate, 7 * (week - 1));
+    }
+    if (inputs.fasting?.startDate) {
+      weekInputs.fasting = { ...inputs.fasting, startDate: addDaysToDate(inputs.fasting.startDate, 7 * (week - 1)) };
+    }
+    const planContent = await buildNutritionPlan(weekInputs, options);
+    series.push(planContent);
+    // Not saved yet, so earlier weeks of the series have no planId
+    history = [{ planId: null, recipeIds: [...collectPlanRecipeIds(planContent)] }, ...history];
+  }
+
+  return series;
+};
+
+/**
+ * Wrap a built plan for a preview response: dated from its calendar, never active and not saved
+ */
+const toPlanPreview = planContent => {
+  const { planStartDate, planEndDate } = getPlanDates(planContent.calendar);
+
+  return {
+    active: false,
+    planStartDate: planStartDate.toISOString(),
+    planEndDate: planEndDate.toISOString(),
+    generatedAt: new Date().toISOString(),
+    ...planContent
+  };
+};
+
+/**
+ * POST /users/:userId/generate-nutrition-plan
+ * Generate a personalized 7-day nutrition plan
+ * Requires Firebase Auth and Active Subscription
+ * With preview=true (query or body) the plan is built and returned but not saved
+ * With weeks (1-4) consecutive weekly plans are saved, linked by seriesId, one quota credit each
+ */
+router.post('/users/:userId/generate-nutrition-plan', verifyFirebaseAuth, verifyActiveSubscription, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.uid !== userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only generate plans for your own account'
+      });
+    }
+
+    // userData already fetched and validated by verifyActiveSubscription middleware
+    const userData = req.userData;
+
+    // Check if user has completed registration
+    if (!userData.registrationComplete) {
+      const missingSteps = [];
+      const steps = userData.registrationSteps || {};
+      
+      if (!steps.basicInfo) missingSteps.push('Basic Information (name, email, mobile, address)');
+      if (!steps.dietInfo) missingSteps.push('Diet Information (dietary preferences, allergies, goals)');
+      if (!steps.healthInfo) missingSteps.push('Health Information (medical conditions, sleep, stress levels, age, height, weight, gender)');
+      if (!steps.exercisePreference) missingSteps.push('Exercise Preferences (fitness goals, workout types)');
+      if (!steps.weeklyExercise) missingSteps.push('Weekly Exercise Schedule (activity schedule for each day)');
+
+      return res.status(400).json({
+        error: 'Registration incomplete',
+        message: 'Please complete all registration steps before generating a nutrition plan',
+        missingSteps: missingSteps,
+        registrationSteps: steps
+      });
+    }
+
+    // Validate that required health fields exist for nutrition plan generation
+    const requiredHealthFields = ['age', 'gender', 'height', 'weight'];
+    const missingHealthFields = [];
+    
+    requiredHealthFields.forEach(field => {
+      if (!userData[field]) {
+        missingHealthFields.push(field);
+      }
+    });
+    
+    if (missingHealthFields.length > 0) {
+      return res.status(400).json({
+        error: 'Incomplete health information',
+        message: 'Please complete your health information (Phase 3) with the following required fields: ' + missingHealthFields.join(', '),
+        missingFields: missingHealthFields,
+        requiredFields: requiredHealthFields,
+        hint: 'Please update PUT /v1/users/{userId}/health-information with age, gender, height, and weight'
+      });
+    }
+
+    // Previews are not saved, so they skip the rate limit, quota, deactivation and write
+    const preview = req.query.preview === 'true' || req.body.preview === true || req.body.preview === 'true';
+
+    if (!preview) {
+      // Check for plans generated in the last 7 days (rate limiting)
+      const sevenDaysAgo = new Date();
+      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+
+      const recentPlansQuery = await db.collection('users')
+        .doc(userId)
+        .collection('nutritionPlans')
+        .where('generatedAt', '>=', admin.firestore.Timestamp.fromDate(sevenDaysAgo))
+        .orderBy('generatedAt', 'desc')
+        .limit(1)
+        .get();
+
+      if (!recentPlansQuery.empty) {
+        const lastPlan = recentPlansQuery.docs[0].data();
+        const lastGeneratedDate = lastPlan.generatedAt.toDate();
+        const nextAllowedDate = new Date(lastGeneratedDate);
+        nextAllowedDate.setDate(nextAllowedDate.getDate() + 7);
+
+        return res.status(429).json({
+          error: 'Rate limit exceeded',
+          message: 'You can only generate one nutrition plan every 7 days',
+          lastGeneratedAt: lastGeneratedDate.toISOString(),
+          nextAllowedAt: nextAllowedDate.toISOString(),
+          daysRemaining: Math.ceil((nextAllowedDate - new Date()) / (1000 * 60 * 60 * 24))
+        });
+      }
+    }
+
+    const { inputs, error: inputError } = resolvePlanInputs(userData, req.body);
+    if (inputError) {
+      return res.status(400).json(inputError);
+    }
+
+    // Each week of a series is a separate plan and uses one credit
+    if (!preview && inputs.weeks > (req.subscriptionData.quota || 0)) {
+      return res.status(429).json({
+        error: 'Quota Exceeded',
+        message: `A ${inputs.weeks}-week plan needs ${inputs.weeks} plan generations but you have ${req.subscriptionData.quota} left`,
+        currentQuota: req.subscriptionData.quota,
+        weeksRequested: inputs.weeks,
+        suggestion: 'Request fewer weeks, or wait for your quota to reset'
+      });
+    }
+
+    inputs.recentPlanRecipes = await loadRecentPlanRecipes(userId, inputs.varietyLookback);
+    const series = await buildPlanSeries(inputs, { userId });
+
+    if (preview) {
+      const previewPlans = series.map(toPlanPreview);
+      return res.json({
+        success: true,
+        preview: true,
+        message: 'Nutrition plan preview generated. It has not been saved and no quota was used.',
+        plan: previewPlans[0],
+        ...(series.length > 1 && { weeks: series.length, plans: previewPlans }),
+        quotaRemaining: req.subscriptionData.quota,
+        subscriptionTier: req.subscriptionData?.tier || 'unknown'
+      });
+    }
+
+    const seriesId = series.length > 1 ? crypto.randomUUID() : null;
+
+    // Deactivate all existing active plans
+    const existingActivePlansQuery = await db.collection('users')
+      .doc(userId)
+      .collection('nutritionPlans')
+      .where('active', '==', true)
+      .get();
+
+    // The deactivation, every week of the series and the quota decrement are written in one batch,
+    // so a failure cannot leave saved weeks without a used credit
+    const batch = db.batch();
+    existingActivePlansQuery.docs.forEach(doc => {
+      batch.update(doc.ref, { 
+        active: false,
+        deactivatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+
+    // Later weeks of a previous series were never active; those not over by the time the new plan
+    // starts are retired so their dates do not overlap it
+    const newPlanStart = getPlanDates(series[0].calendar).planStartDate.toISOString();
+    const previousSeriesIds = [...new Set(existingActivePlansQuery.docs.map(doc => doc.data().seriesId).filter(Boolean))];
+    for (const previousSeriesId of previousSeriesIds) {
+      const seriesPlansQuery = await db.collection('users')
+        .doc(userId)
+        .collection('nutritionPlans')
+        .where('seriesId', '==', previousSeriesId)
+        .get();
+      seriesPlansQuery.docs
+        .filter(doc => !doc.data().active && !doc.data().retiredAt && doc.data().planEndDate > newPlanStart)
+        .forEach(doc => batch.update(doc.ref, { retiredAt: admin.firestore.FieldValue.serverTimestamp() }));
+    }
+
+    // One plan per week; only week 1 is active, later weeks are linked to it by seriesId
+    const savedPlans = [];
+    for (const [index, planContent] of series.entries()) {
+      const { planStartDate, planEndDate } = getPlanDates(planContent.calendar);
+      const generatedPlan = {
+        active: index === 0,
+        planStartDate: planStartDate.toISOString(),
+        planEndDate: planEndDate.toISOString(),
+        generatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        seriesId,
+        weekNumber: index + 1,
+        totalWeeks: series.length,
+        ...planContent
+      };
+
+      const planRef = db.collection('users').doc(userId).collection('nutritionPlans').doc();
+      batch.set(planRef, generatedPlan);
+      savedPlans.push({
+        planId: planRef.id,
+        plan: {
+          ...generatedPlan,
+          generatedAt: new Date().toISOString()
+        }
+      });
+    }
+
+    // Decrement quota and update tracking; a reached target weight moves the stored goal to maintain
+    const goalReached = inputs.weightGoal?.status === 'reached';
+    batch.update(db.collection('users').doc(userId), {
+      planGenerationQuota: admin.firestore.FieldValue.increment(-series.length),
+      lastPlanGeneratedAt: admin.firestore.FieldValue.serverTimestamp(),
+      totalPlansGenerated: admin.firestore.FieldValue.increment(series.length),
+      ...(goalReached && {
+        goal: 'maintain',
+        targetWeightReachedAt: admin.firestore.FieldValue.serverTimestamp()
+      })
+    });
+
+    await batch.commit();
+
+    // Compute remaining quota locally — avoids an extra Firestore read
+    const updatedQuota = Math.max(0, (req.subscriptionData.quota || 1) - series.length);
+
+    res.status(201).json({
+      success: true,
+      message: series.length > 1
+        ? `${series.length}-week nutrition plan generated successfully`
+        : 'Nutrition plan generated successfully',
+      planId: savedPlans[0].planId,
+      plan: savedPlans[0].plan,
+      ...(series.length > 1 && { seriesId, weeks: series.length, plans: savedPlans }),
+      quotaRemaining: updatedQuota,
+      subscriptionTier: req.subscriptionData?.tier || 'unknown'
+    });
+
+  } catch (error) {
+    console.error('Error generating nutrition plan:', error);
+    res.status(500).json({
+      error: 'Failed to generate nutrition plan',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /users/:userId/nutrition-plan/preview
+ * Show what a nutrition plan would look like, e.g. during onboarding
+ * Runs the full generation pipeline but saves nothing and uses no quota.
+ * Registration and a subscription are not required; missing profile values can be sent in the body.
+ * Requires Firebase Auth
+ */
+router.post('/users/:userId/nutrition-plan/preview', verifyFirebaseAuth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.uid !== userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only preview plans for your own account'
+      });
+    }
+
+    const userDoc = await db.collection('users').doc(userId).get();
+
+    if (!userDoc.exists) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No user found with this ID'
+      });
+    }
+
+    const { inputs, error: inputError } = resolvePlanInputs(userDoc.data(), req.body);
+    if (inputError) {
+      const isProfileField = ['Invalid age', 'Invalid gender', 'Invalid height', 'Invalid weight'].includes(inputError.error);
+      return res.status(400).json({
+        ...inputError,
+        ...(isProfileField && { hint: 'Send age, gender, height and weight in the request body if they are not in your profile yet' })
+      });
+    }
+
+    inputs.recentPlanRecipes = await loadRecentPlanRecipes(userId, inputs.varietyLookback);
+    const series = await buildPlanSeries(inputs, { userId });
+    const previewPlans = series.map(toPlanPreview);
+
+    res.json({
+      success: true,
+      preview: true,
+      message: 'Nutrition plan preview generated. It has not been saved and no quota was used.',
+      plan: previewPlans[0],
+      ...(series.length > 1 && { weeks: series.length, plans: previewPlans })
+    });
+
+  } catch (error) {
+    console.error('Error previewing nutrition plan:', error);
+    res.status(500).json({
+      error: 'Failed to preview nutrition plan',
+      message: error.message
+    });
   }
+});
 
-  return parsedRecipe;
-}
+// ============================================
+// PLAN EDITING
+// ============================================
 
-const isValidRecipe = recipe => {
-  const prepTime = recipe.preparation;
-  const cookTime = recipe.cooking;
-  return typeof prepTime === 'number' && !isNaN(prepTime) && prepTime <= 30 &&
-         typeof cookTime === 'number' && !isNaN(cookTime) && cookTime <= 60;
-};
+// Number of alternatives returned by a swap request when no recipe is chosen
+const DEFAULT_SWAP_ALTERNATIVES = 5;
+const MAX_SWAP_ALTERNATIVES = 20;
 
-// Recipe cache — 6-month TTL. Recipes are static; this eliminates the full
-// Firestore collection scan on every plan generation request.
-const RECIPE_CACHE_TTL_MS = 6 * 30 * 24 * 60 * 60 * 1000; // ~6 months
-const recipeCache = {};
+/**
+ * Split an array or comma-separated string into trimmed, non-empty values
+ */
+const toTrimmedList = value => (Array.isArray(value) ? value : (value ? String(value).split(',') : []))
+  .map(s => String(s).trim())
+  .filter(Boolean);
 
-const fetchRecipes = async collection => {
-  const snap = await db.collection(collection).get();
-  const parsedRecipesPromises = snap.docs.map(doc => {
-    const rawRecipe = { id: doc.id, ...doc.data() };
-    return parseRecipeFields(rawRecipe);
-  });
-  return Promise.all(parsedRecipesPromises);
+/**
+ * Work out the calorie and macro target of one meal slot in a saved plan
+ * Plans generated before meal slots fall back to the default 4-meal shares
+ */
+const getSlotTargets = (plan, day, slot, meal) => {
+  const dayTargets = plan.dailyTargetDetails?.[day] || {};
+  const defaultSlot = buildMealSlots(DEFAULT_MEALS_PER_DAY).find(s => s.slot === slot);
+  const share = meal.calorieShare || defaultSlot?.share || 0.25;
+  const macroTargets = calculateSlotMacroTargets(dayTargets, slot, share);
+
+  return {
+    share,
+    macroTargets: { ...macroTargets, calories: meal.targetCalories || macroTargets.calories },
+    activityCalories: parseInt(plan.inputDetails?.weeklyActivity?.[day]?.calories) || 0
+  };
 };
 
-const fetchRecipesCached = async collection => {
-  const now = Date.now();
-  const cached = recipeCache[collection];
-  if (cached && (now - cached.ts) < RECIPE_CACHE_TTL_MS) {
-    return cached.data;
+/**
+ * Rank replacement recipes for a slot by macro balance within ±100 kcal of the target, after portion scaling
+ * When the window holds fewer than `limit` recipes, the closest-calorie recipes are ranked instead
+ * Only recipes within the day's cooking time limits are offered; a preferenceScorer adds the plan's
+ * food preference bonus to each score and labels the matches, and a slot focus re-weights scores as in generation.
+ */
+const rankMealAlternatives = (recipes, macroTargets, mealType, activityCalories, excludeIds, limit, { timeLimits, recipeLimits, preferenceScorer, focus } = {}) => {
+  const adjustedTargets = adjustTargetsForMealType(macroTargets, mealType, activityCalories);
+  const adjustScore = combineScoreAdjusters(preferenceScorer, focus && createSlotFocusAdjuster(focus));
+  const calorieGap = candidate => Math.abs(candidate.scaled.Calories - macroTargets.calories);
+
+  const candidates = recipes
+    .filter(r => {
+      const cal = r?.Calories;
+      return typeof cal === 'number' && !isNaN(cal) && cal > 0 && isValidRecipe(r, timeLimits) && !excludeIds.has(r.id);
+    })
+    .map(recipe => ({ recipe, ...portionRecipe(recipe, macroTargets.calories) }))
+    .filter(({ scaled }) => fitsRecipeLimits(scaled, recipeLimits));
+
+  let pool = candidates.filter(c => calorieGap(c) <= 100);
+  if (pool.length < limit) {
+    pool = [...candidates].sort((a, b) => calorieGap(a) - calorieGap(b)).slice(0, limit * 4);
   }
-  console.log(`[RecipeCache] Cache miss for "${collection}". Fetching from Firestore...`);
-  const data = await fetchRecipes(collection);
-  recipeCache[collection] = { data, ts: now };
-  console.log(`[RecipeCache] Cached ${data.length} recipes for "${collection}".`);
-  return data;
+
+  return pool
+    .map(({ recipe, portionMultiplier, scaled }) => {
+      const score = calculateMacroBalanceScore({ ...recipe, ...scaled }, adjustedTargets);
+      const preferenceMatches = preferenceScorer && findPreferenceMatches(recipe, mealType, preferenceScorer);
+      return {
+        ...recipe,
+        portionMultiplier,
+        scaled,
+        selectionScore: Math.round((adjustScore ? adjustScore(recipe, score, mealType) : score) * 10) / 10,
+        calorieDifference: Math.round(scaled.Calories - macroTargets.calories),
+        ...(preferenceMatches && { preferenceMatches })
+      };
+    })
+    .sort((a, b) => b.selectionScore - a.selectionScore)
+    .slice(0, limit);
 };
 
-const shuffleArray = arr => {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
+/**
+ * Load filtered recipe pools for editing a saved plan, keyed by meal type
+ * Re-applies the user's current allergies and dislikes, plus the allergens, diets and medical
+ * recipe limits the plan was built with
+ * Returns { pools, poolScreening } with what each filter removed per meal type, and the recipeLimits
+ * that selection checks again on each scaled portion
+ */
+const loadPlanRecipePools = async (userData, plan, mealTypes) => {
+  const allergenProfile = resolveAllergies(
+    userData.foodAllergies, userData.allergies, userData.medicalAllergies,
+    plan.allergenScreening?.allergens, plan.allergenScreening?.customTerms
+  );
+  const dislikeList = toTrimmedList(userData.foodDislikes);
+  const diets = plan.dietaryPreferences?.applied || normaliseDietaryPreferences(userData.preference).diets;
+  const { recipeLimits } = combineMedicalConditionRules(plan.medicalRules?.conditions || []);
+
+  const pools = {};
+  const poolScreening = {};
+  await Promise.all([...new Set(mealTypes)].map(async mealType => {
+    const rawRecipes = await fetchRecipesCached(`${mealType}_list_full_may2025`);
+    const { pool, screening } = screenRecipePool(rawRecipes, { allergenProfile, dislikeList, diets, recipeLimits });
+    pools[mealType] = pool;
+    poolScreening[mealType] = screening;
+  }));
+  return { pools, poolScreening, recipeLimits };
 };
 
-const filterRecipes = (recipes, allergies, dislikes) => {
-  // Ensure allergies and dislikes are arrays
-  const allergyArray = Array.isArray(allergies) ? allergies : (allergies ? [allergies] : []);
-  const dislikeArray = Array.isArray(dislikes) ? dislikes : (dislikes ? [dislikes] : []);
-  
-  return recipes.filter(recipe => {
-    const ing = (recipe.Ingredients || '').toLowerCase();
-    return !allergyArray.some(a => ing.includes(String(a).toLowerCase())) &&
-           !dislikeArray.some(d => ing.includes(String(d).toLowerCase()));
+/**
+ * Collect the recipe ids used in a plan, skipping the meals for which skip(day, slot) returns true
+ */
+const collectPlanRecipeIds = (plan, skip = () => false) => {
+  const ids = new Set();
+  Object.entries(plan.days || {}).forEach(([day, dayData]) => {
+    getDayMealEntries(dayData).forEach(([slot, meal]) => {
+      if (meal.id && !skip(day, slot)) ids.add(meal.id);
+    });
   });
+  return ids;
 };
 
-const selectBalancedMealForDay = (recipes, targetCalories, relax = false) => {
-  const tolerance = relax ? 100 : 50;
-  const min = targetCalories - tolerance;
-  const max = targetCalories + tolerance;
+/**
+ * Flag the plan's shopping list as out of date after its meals change
+ * Regenerating the list overwrites the document and clears the flag
+ */
+const markShoppingListStale = async (planRef, reason) => {
+  const shoppingListRef = planRef.collection('shoppingLists').doc('latest');
+  const shoppingListDoc = await shoppingListRef.get();
+  if (!shoppingListDoc.exists) {
+    return false;
+  }
 
-  const mealOption = shuffleArray(recipes).find(r => {
-    const cal = r?.Calories;
-    return typeof cal === 'number' && !isNaN(cal) && cal >= min && cal <= max && isValidRecipe(r);
+  await shoppingListRef.update({
+    stale: true,
+    staleReason: reason,
+    staleSince: admin.firestore.FieldValue.serverTimestamp()
   });
-
-  return mealOption || null;
+  return true;
 };
 
 /**
- * POST /users/:userId/generate-nutrition-plan
- * Generate a personalized 7-day nutrition plan
- * Requires Firebase Auth and Active Subscription
+ * POST /users/:userId/nutrition-plans/:planId/days/:day/meals/:mealType/swap
+ * Replace a single meal without using a plan generation credit
+ * Requires Firebase Auth and an active subscription or trial
+ *
+ * :day is a weekday name or one of the plan's dates (YYYY-MM-DD)
+ * :mealType is the slot key stored on the day (e.g. "lunch", "snack2")
+ * Body (optional):
+ *   - recipeId: recipe to swap in. Without it, ranked alternatives are returned and nothing is saved
+ *   - limit: number of alternatives (default 5, max 20)
  */
-router.post('/users/:userId/generate-nutrition-plan', verifyFirebaseAuth, verifyActiveSubscription, async (req, res) => {
+router.post('/users/:userId/nutrition-plans/:planId/days/:day/meals/:mealType/swap', verifyFirebaseAuth, verifySubscriptionForAccess, async (req, res) => {
   try {
-    const { userId } = req.params;
+    const { userId, planId, mealType: slot } = req.params;
 
     if (req.uid !== userId) {
       return res.status(403).json({
         error: 'Forbidden',
-        message: 'You can only generate plans for your own account'
+        message: 'You can only edit your own nutrition plans'
       });
     }
 
-    // userData already fetched and validated by verifyActiveSubscription middleware
-    const userData = req.userData;
+    const planRef = db.collection('users').doc(userId).collection('nutritionPlans').doc(planId);
+    const planDoc = await planRef.get();
 
-    // Check if user has completed registration
-    if (!userData.registrationComplete) {
-      const missingSteps = [];
-      const steps = userData.registrationSteps || {};
-      
-      if (!steps.basicInfo) missingSteps.push('Basic Information (name, email, mobile, address)');
-      if (!steps.dietInfo) missingSteps.push('Diet Information (dietary preferences, allergies, goals)');
-      if (!steps.healthInfo) missingSteps.push('Health Information (medical conditions, sleep, stress levels, age, height, weight, gender)');
-      if (!steps.exercisePreference) missingSteps.push('Exercise Preferences (fitness goals, workout types)');
-      if (!steps.weeklyExercise) missingSteps.push('Weekly Exercise Schedule (activity schedule for each day)');
+    if (!planDoc.exists) {
+      return res.status(404).json({
+        error: 'Nutrition plan not found'
+      });
+    }
 
-      return res.status(400).json({
-        error: 'Registration incomplete',
-        message: 'Please complete all registration steps before generating a nutrition plan',
-        missingSteps: missingSteps,
-        registrationSteps: steps
+    const plan = planDoc.data();
+    const day = findPlanDay(plan, req.params.day);
+    const meal = day && plan.days[day][slot];
+
+    if (!day) {
+      return res.status(404).json({
+        error: 'Day not found',
+        message: `Plan has no day "${req.params.day}"`,
+        availableDays: Object.keys(plan.days || {})
+      });
+    }
+    if (!meal || typeof meal !== 'object') {
+      return res.status(404).json({
+        error: 'Meal not found',
+        message: `${day} has no "${slot}" meal`,
+        availableMeals: getDayMealEntries(plan.days[day]).map(([key]) => key)
       });
     }
 
-    // Validate that required health fields exist for nutrition plan generation
-    const requiredHealthFields = ['age', 'gender', 'height', 'weight'];
-    const missingHealthFields = [];
-    
-    requiredHealthFields.forEach(field => {
-      if (!userData[field]) {
-        missingHealthFields.push(field);
-      }
-    });
-    
-    if (missingHealthFields.length > 0) {
+    const baseMealType = meal.mealType || slot.replace(/\d+$/, '');
+    if (!BASE_MEAL_TYPES.includes(baseMealType)) {
       return res.status(400).json({
-        error: 'Incomplete health information',
-        message: 'Please complete your health information (Phase 3) with the following required fields: ' + missingHealthFields.join(', '),
-        missingFields: missingHealthFields,
-        requiredFields: requiredHealthFields,
-        hint: 'Please update PUT /v1/users/{userId}/health-information with age, gender, height, and weight'
+        error: 'Invalid meal type',
+        message: `Cannot swap "${slot}" meals`
       });
     }
 
-    // Check for plans generated in the last 7 days (rate limiting)
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+    const { pools, poolScreening, recipeLimits } = await loadPlanRecipePools(req.userData, plan, [baseMealType]);
+    const recipes = pools[baseMealType];
 
-    const recentPlansQuery = await db.collection('users')
-      .doc(userId)
-      .collection('nutritionPlans')
-      .where('generatedAt', '>=', admin.firestore.Timestamp.fromDate(sevenDaysAgo))
-      .orderBy('generatedAt', 'desc')
-      .limit(1)
-      .get();
+    const { share, macroTargets, activityCalories } = getSlotTargets(plan, day, slot, meal);
+    const target = {
+      calories: Math.round(macroTargets.calories),
+      proteinGrams: Math.round(macroTargets.protein),
+      carbsGrams: Math.round(macroTargets.carbs),
+      fatGrams: Math.round(macroTargets.fat)
+    };
 
-    if (!recentPlansQuery.empty) {
-      const lastPlan = recentPlansQuery.docs[0].data();
-      const lastGeneratedDate = lastPlan.generatedAt.toDate();
-      const nextAllowedDate = new Date(lastGeneratedDate);
-      nextAllowedDate.setDate(nextAllowedDate.getDate() + 7);
+    const { recipeId } = req.body || {};
+    const preferenceScorer = createPreferenceScorer(plan.preferences);
 
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        message: 'You can only generate one nutrition plan every 7 days',
-        lastGeneratedAt: lastGeneratedDate.toISOString(),
-        nextAllowedAt: nextAllowedDate.toISOString(),
-        daysRemaining: Math.ceil((nextAllowedDate - new Date()) / (1000 * 60 * 60 * 24))
+    if (!recipeId) {
+      const limit = Math.min(parseInt(req.body?.limit) || DEFAULT_SWAP_ALTERNATIVES, MAX_SWAP_ALTERNATIVES);
+
+      // Keep the week free of repeats where possible
+      const usedElsewhere = collectPlanRecipeIds(plan, (d, key) => d === day && key === slot);
+      usedElsewhere.add(meal.id);
+
+      const timeLimits = getDayCookingTimeLimits(getPlanCookingTimeLimits(plan), day);
+      const rankingOptions = { timeLimits, recipeLimits, preferenceScorer, focus: meal.focus };
+      let alternatives = rankMealAlternatives(recipes, macroTargets, baseMealType, activityCalories, usedElsewhere, limit, rankingOptions);
+      if (alternatives.length === 0) {
+        alternatives = rankMealAlternatives(recipes, macroTargets, baseMealType, activityCalories, new Set([meal.id]), limit, rankingOptions);
+      }
+
+      return res.json({
+        success: true,
+        day,
+        mealType: slot,
+        target,
+        currentMeal: {
+          id: meal.id,
+          Title: meal.Title,
+          portionMultiplier: meal.portionMultiplier || 1,
+          Calories: getMealNutrition(meal).Calories
+        },
+        count: alternatives.length,
+        alternatives
       });
     }
-    const {
-      age, gender, height, weight, weeklyActivity = {},
-      fitnessLevel = '', goal = '', foodAllergies = '', foodLikes = '', foodDislikes = '',
-      name = '', email = '',
-      proteinPercentage: userProtein, carbsPercentage: userCarbs, fatPercentage: userFat
-    } = userData;
-
-    // Allow request body to override userData (for flexibility)
-    const finalAge = req.body.age || age;
-    const finalGender = req.body.gender || gender;
-    const finalHeight = req.body.height || height;
-    const finalWeight = req.body.weight || weight;
-    const finalGoal = req.body.goal || goal;
-
-    const parsedAge = typeof finalAge === 'string' ? parseInt(finalAge) : finalAge;
-    const parsedHeight = typeof finalHeight === 'string' ? parseFloat(finalHeight) : finalHeight;
-    const parsedWeight = typeof finalWeight === 'string' ? parseFloat(finalWeight) : finalWeight;
-
-    if (!['male', 'female'].includes((finalGender || '').toLowerCase())) {
-      return res.status(400).json({ 
-        error: 'Invalid gender',
-        message: 'Gender must be "male" or "female"'
+
+    const chosen = recipes.find(r => r.id === recipeId);
+    if (!chosen) {
+      return res.status(400).json({
+        error: 'Recipe not available',
+        message: `Recipe "${recipeId}" is not a ${baseMealType} recipe or is excluded by your allergies, dislikes or dietary preferences`
       });
     }
-    if (!parsedAge || parsedAge <= 0) return res.status(400).json({ error: 'Invalid age', message: 'Age must be a positive number' });
-    if (!parsedHeight || parsedHeight <= 0) return res.status(400).json({ error: 'Invalid height', message: 'Height must be a positive number' });
-    if (!parsedWeight || parsedWeight <= 0) return res.status(400).json({ error: 'Invalid weight', message: 'Weight must be a positive number' });
-
-    // Calculate BMR
-    const bmr = (10 * parsedWeight) + (6.25 * parsedHeight) - (5 * parsedAge) + (finalGender.toLowerCase() === 'male' ? 5 : -161);
 
-    // Set macros
-    let proteinPercentage, carbsPercentage, fatPercentage;
-    if (userProtein != null && userCarbs != null && userFat != null) {
-      proteinPercentage = Number(userProtein);
-      carbsPercentage = Number(userCarbs);
-      fatPercentage = Number(userFat);
-    } else {
-      switch (goal.toLowerCase()) {
-        case 'lose weight': proteinPercentage = 0.4; fatPercentage = 0.25; carbsPercentage = 0.35; break;
-        case 'gain muscle': proteinPercentage = 0.3; fatPercentage = 0.25; carbsPercentage = 0.45; break;
-        default: proteinPercentage = 0.4; fatPercentage = 0.3; carbsPercentage = 0.3;
-      }
+    const adjustedTargets = adjustTargetsForMealType(macroTargets, baseMealType, activityCalories);
+    const { portionMultiplier, scaled } = portionRecipe(chosen, macroTargets.calories);
+    if (!fitsRecipeLimits(scaled, recipeLimits)) {
+      return res.status(400).json({
+        error: 'Recipe not available',
+        message: `A portion of "${recipeId}" sized for this meal is over the plan's medical recipe limits`,
+        recipeLimits
+      });
     }
+    // Scored like the alternatives: preference bonus and the slot's focus, which the new meal keeps
+    const adjustScore = combineScoreAdjusters(preferenceScorer, meal.focus && createSlotFocusAdjuster(meal.focus));
+    const score = calculateMacroBalanceScore({ ...chosen, ...scaled }, adjustedTargets);
+    const newMeal = {
+      ...chosen,
+      portionMultiplier,
+      scaled,
+      selectionScore: Math.round((adjustScore ? adjustScore(chosen, score, baseMealType) : score) * 10) / 10,
+      fallbackStage: 'swap',
+      slot,
+      mealType: baseMealType,
+      scheduledTime: meal.scheduledTime || null,
+      calorieShare: share,
+      targetCalories: target.calories,
+      ...(meal.focus && { focus: meal.focus })
+    };
+    const preferenceMatches = preferenceScorer && findPreferenceMatches(chosen, baseMealType, preferenceScorer);
+    if (preferenceMatches) newMeal.preferenceMatches = preferenceMatches;
+    else delete newMeal.preferenceMatches;
+    newMeal.explanation = explainMealChoice(newMeal, {
+      macroTargets,
+      activityCalories,
+      screening: poolScreening[baseMealType],
+      pool: recipes,
+      timeLimits: getDayCookingTimeLimits(getPlanCookingTimeLimits(plan), day),
+      preferenceScorer,
+      focus: meal.focus
+    });
 
-    const calorieAdjustment = {
-      'lose weight': -550,
-      'gain muscle': 250,
-      'maintain': 0
-    }[goal.toLowerCase()] ?? 0;
-
-    // Calculate daily targets
-    const dailyTargetDetails = {};
-    const daysOfWeek = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-    let totalWeeklyActivityCalories = 0;
+    const swapEntry = {
+      day,
+      mealType: slot,
+      previousRecipeId: meal.id || null,
+      previousTitle: meal.Title || null,
+      recipeId: chosen.id,
+      Title: chosen.Title || null,
+      swappedAt: new Date().toISOString()
+    };
 
-    for (const day of daysOfWeek) {
-      const activity = weeklyActivity?.[day];
-      const activityCalories = typeof activity?.calories === 'number' ? activity.calories : parseInt(activity?.calories) || 0;
-      totalWeeklyActivityCalories += activityCalories;
-
-      const dailyTDEE = bmr + activityCalories;
-      const adjustedCalories = dailyTDEE + calorieAdjustment;
-      const minCalories = finalGender.toLowerCase() === 'male' ? 1500 : 1200;
-      const maxCalories = dailyTDEE * 2.5;
-      const finalCalories = Math.round(Math.min(maxCalories, Math.max(minCalories, adjustedCalories)));
-
-      const proteinGrams = Math.round((finalCalories * proteinPercentage) / 4);
-      const carbsGrams = Math.round((finalCalories * carbsPercentage) / 4);
-      const fatGrams = Math.round((finalCalories * fatPercentage) / 9);
-
-      let fuelingDemandCategory = 'low';
-      if (activityCalories >= 800) fuelingDemandCategory = 'high';
-      else if (activityCalories >= 400) fuelingDemandCategory = 'medium';
-
-      dailyTargetDetails[day] = {
-        calories: finalCalories,
-        proteinGrams,
-        carbsGrams,
-        fatGrams,
-        fuelingDemandCategory
-      };
+    const updatedDays = { ...plan.days, [day]: { ...plan.days[day], [slot]: newMeal } };
+    // Swapping one half of a batch-cooked pair leaves the other half as an ordinary meal
+    const unlinked = unlinkBatchPartner(plan.days, day, slot);
+    if (unlinked) {
+      updatedDays[unlinked.day] = { ...updatedDays[unlinked.day], [unlinked.slot]: unlinked.meal };
     }
+    const achieved = summarisePlanNutrition({ ...plan, days: updatedDays });
+    const caps = getPlanNutrientCaps(plan);
+    const nutrientCaps = caps ? summariseNutrientCaps(updatedDays, caps, plan.nutrientCaps.swapsMade) : null;
+    const kitchenTime = summariseKitchenTime(updatedDays, getPlanCookingTimeLimits(plan));
+
+    await planRef.update({
+      [`days.${day}.${slot}`]: newMeal,
+      ...(unlinked && { [`days.${unlinked.day}.${unlinked.slot}`]: unlinked.meal }),
+      achieved,
+      ...(nutrientCaps && { nutrientCaps }),
+      kitchenTime,
+      ...(plan.preferences && { 'preferences.matchedMeals': countPreferenceMatchedMeals(updatedDays) }),
+      ...(plan.batchCooking && { 'batchCooking.leftoverMeals': countLeftoverMeals(updatedDays) }),
+      swapHistory: admin.firestore.FieldValue.arrayUnion(swapEntry),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
 
-    // Fetch and filter recipes
-    // Handle foodAllergies - ensure it's an array
-    let allergyList = [];
-    if (userData.foodAllergies) {
-      allergyList = Array.isArray(userData.foodAllergies) 
-        ? userData.foodAllergies.map(s => String(s).trim()).filter(Boolean)
-        : String(userData.foodAllergies).split(',').map(s => s.trim()).filter(Boolean);
-    }
-    if (req.body.foodAllergies) {
-      const bodyAllergies = Array.isArray(req.body.foodAllergies)
-        ? req.body.foodAllergies.map(s => String(s).trim()).filter(Boolean)
-        : String(req.body.foodAllergies).split(',').map(s => s.trim()).filter(Boolean);
-      allergyList = bodyAllergies;
-    }
-    
-    // Handle foodDislikes - ensure it's an array
-    let dislikeList = [];
-    if (userData.foodDislikes) {
-      dislikeList = Array.isArray(userData.foodDislikes)
-        ? userData.foodDislikes.map(s => String(s).trim()).filter(Boolean)
-        : String(userData.foodDislikes).split(',').map(s => s.trim()).filter(Boolean);
-    }
-    if (req.body.foodDislikes) {
-      const bodyDislikes = Array.isArray(req.body.foodDislikes)
-        ? req.body.foodDislikes.map(s => String(s).trim()).filter(Boolean)
-        : String(req.body.foodDislikes).split(',').map(s => s.trim()).filter(Boolean);
-      dislikeList = bodyDislikes;
-    }
-
-    const [breakfastRaw, lunchRaw, dinnerRaw, snackRaw] = await Promise.all([
-      fetchRecipesCached('breakfast_list_full_may2025'),
-      fetchRecipesCached('lunch_list_full_may2025'),
-      fetchRecipesCached('dinner_list_full_may2025'),
-      fetchRecipesCached('snack_list_full_may2025')
-    ]);
+    const shoppingListStale = await markShoppingListStale(planRef, 'meal-swap');
 
-    const breakfastRecipes = filterRecipes(breakfastRaw, allergyList, dislikeList);
-    const lunchRecipes = filterRecipes(lunchRaw, allergyList, dislikeList);
-    const dinnerRecipes = filterRecipes(dinnerRaw, allergyList, dislikeList);
-    const snackRecipes = filterRecipes(snackRaw, allergyList, dislikeList);
+    res.json({
+      success: true,
+      message: 'Meal swapped successfully',
+      day,
+      mealType: slot,
+      target,
+      meal: newMeal,
+      swap: swapEntry,
+      achieved,
+      nutrientCaps,
+      kitchenTime,
+      unlinkedBatchMeal: unlinked ? { day: unlinked.day, slot: unlinked.slot } : null,
+      shoppingListStale
+    });
 
-    // Generate meal plan
-    const planDays = {};
-    for (const day of daysOfWeek) {
-      const target = dailyTargetDetails[day].calories;
+  } catch (error) {
+    console.error('Error swapping meal:', error);
+    res.status(500).json({
+      error: 'Failed to swap meal',
+      message: error.message
+    });
+  }
+});
 
-      const breakfast = selectBalancedMealForDay(breakfastRecipes, target * 0.25, false) ||
-                        selectBalancedMealForDay(breakfastRecipes, target * 0.25, true);
-      const lunch = selectBalancedMealForDay(lunchRecipes, target * 0.3, false) ||
-                    selectBalancedMealForDay(lunchRecipes, target * 0.3, true);
-      const dinner = selectBalancedMealForDay(dinnerRecipes, target * 0.3, false) ||
-                     selectBalancedMealForDay(dinnerRecipes, target * 0.3, true);
-      const snack = selectBalancedMealForDay(snackRecipes, target * 0.15, false) ||
-                    selectBalancedMealForDay(snackRecipes, target * 0.15, true);
+/**
+ * POST /users/:userId/nutrition-plans/:planId/days/:day/regenerate
+ * Re-pick every meal of one day against that day's existing dailyTargetDetails
+ * Other days are untouched and no plan generation credit is used.
+ * Regenerations per plan are capped by the subscription tier's dayRegenerationLimit.
+ * Requires Firebase Auth and an active subscription or trial
+ */
+router.post('/users/:userId/nutrition-plans/:planId/days/:day/regenerate', verifyFirebaseAuth, verifySubscriptionForAccess, async (req, res) => {
+  try {
+    const { userId, planId } = req.params;
 
-      planDays[day] = { breakfast, lunch, dinner, snack };
+    if (req.uid !== userId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only edit your own nutrition plans'
+      });
     }
 
-    // Calculate plan end date (7 days from start)
-    const planStartDate = new Date();
-    const planEndDate = new Date(planStartDate);
-    planEndDate.setDate(planEndDate.getDate() + 7);
+    const planRef = db.collection('users').doc(userId).collection('nutritionPlans').doc(planId);
+    const planDoc = await planRef.get();
 
-    // Deactivate all existing active plans
-    const existingActivePlansQuery = await db.collection('users')
-      .doc(userId)
-      .collection('nutritionPlans')
-      .where('active', '==', true)
-      .get();
+    if (!planDoc.exists) {
+      return res.status(404).json({
+        error: 'Nutrition plan not found'
+      });
+    }
 
-    const batch = db.batch();
-    existingActivePlansQuery.docs.forEach(doc => {
-      batch.update(doc.ref, { 
-        active: false,
-        deactivatedAt: admin.firestore.FieldValue.serverTimestamp()
+    const plan = planDoc.data();
+    const day = findPlanDay(plan, req.params.day);
+
+    if (!day) {
+      return res.status(404).json({
+        error: 'Day not found',
+        message: `Plan has no day "${req.params.day}"`,
+        availableDays: Object.keys(plan.days || {})
       });
+    }
+
+    const userData = req.userData;
+    const tier = SUBSCRIPTION_TIERS[userData.subscriptionTier] || SUBSCRIPTION_TIERS['free-trial'];
+    const regenerationLimit = tier.dayRegenerationLimit;
+    const regenerationsUsed = plan.dayRegenerationCount || 0;
+    const sendLimitReached = used => res.status(429).json({
+      error: 'Regeneration limit reached',
+      message: `This plan has used all ${regenerationLimit} day regenerations for your subscription tier`,
+      regenerationsUsed: used,
+      regenerationLimit,
+      subscriptionTier: userData.subscriptionTier || 'unknown',
+      suggestion: 'Swap individual meals instead, or generate a new plan'
     });
 
-    await batch.commit();
+    if (regenerationsUsed >= regenerationLimit) {
+      return sendLimitReached(regenerationsUsed);
+    }
 
-    const generatedPlan = {
-      active: true,
-      planStartDate: planStartDate.toISOString(),
-      planEndDate: planEndDate.toISOString(),
-      generatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      notes: `Plan based on goal "${finalGoal}"`,
-      dailyTargetDetails,
-      days: planDays,
-      inputDetails: {
-        name, email, 
-        age: parsedAge, 
-        gender: finalGender, 
-        height: parsedHeight, 
-        weight: parsedWeight, 
-        goal: finalGoal, 
-        fitnessLevel,
-        foodAllergies, foodLikes, foodDislikes, weeklyActivity, totalWeeklyActivityCalories
+    // The day's own meals keep their slots (fueling days add a preWorkout snack); slots from the plan's
+    // stored layout that have no meal are filled too. Older plans only have the four fixed keys
+    const currentDay = plan.days[day] || {};
+    const daySlots = getDayMealEntries(currentDay).map(([slot, meal]) => ({
+      slot,
+      mealType: meal.mealType || slot.replace(/\d+$/, ''),
+      time: meal.scheduledTime || null,
+      focus: meal.focus || null
+    }));
+    const slots = [...daySlots, ...(plan.mealSchedule || []).filter(s => !daySlots.some(d => d.slot === s.slot))];
+
+    const { pools, poolScreening, recipeLimits } = await loadPlanRecipePools(userData, plan, slots.map(s => s.mealType));
+
+    // Avoid recipes used on other days, and prefer new recipes over the ones being replaced
+    const usedRecipeIds = collectPlanRecipeIds(plan, d => d === day);
+    const previousRecipeIds = getDayMealEntries(currentDay).map(([, meal]) => meal.id).filter(Boolean);
+    previousRecipeIds.forEach(id => usedRecipeIds.add(id));
+
+    // Derived from the plan seed so each regeneration is reproducible too
+    const seed = plan.seed != null ? (plan.seed + regenerationsUsed + 1) >>> 0 : generatePlanSeed();
+    const cookingTimeLimits = getPlanCookingTimeLimits(plan);
+    const timeLimits = getDayCookingTimeLimits(cookingTimeLimits, day);
+    const preferenceScorer = createPreferenceScorer(plan.preferences);
+    const recentPenalty = createRecentRecipePenalty(plan.generationInputs?.recentPlanRecipes);
+    const selectionOptions = {
+      random: createSeededRandom(seed),
+      adjustScore: combineScoreAdjusters(recentPenalty, preferenceScorer),
+      timeLimits,
+      recipeLimits
+    };
+
+    // Meals batch-cooked with this day's meals become ordinary meals; yesterday's dinner can feed the new lunch again
+    const otherDays = { ...plan.days };
+    const relinkedMeals = [];
+    getDayMealEntries(currentDay).forEach(([slot]) => {
+      const unlinked = unlinkBatchPartner(plan.days, day, slot);
+      if (!unlinked) return;
+      otherDays[unlinked.day] = { ...otherDays[unlinked.day], [unlinked.slot]: unlinked.meal };
+      relinkedMeals.push({ day: unlinked.day, slot: unlinked.slot });
+    });
+
+    const newDay = {};
+    const slotTargets = {};
+    for (const { slot, mealType, share, time, focus } of slots) {
+      const existing = currentDay[slot] || {};
+      const { share: slotShare, macroTargets, activityCalories } = getSlotTargets(
+        plan, day, slot, { ...existing, calorieShare: existing.calorieShare || share }
+      );
+      const slotSelectionOptions = focus
+        ? { ...selectionOptions, adjustScore: combineScoreAdjusters(selectionOptions.adjustScore, createSlotFocusAdjuster(focus)) }
+        : selectionOptions;
+
+      const leftoverSource = plan.batchCooking && mealType === 'lunch' && findLeftoverSource(otherDays, day, getPlanDayOrder(plan));
+      const leftover = leftoverSource && serveLeftoverMeal(leftoverSource, { day, slot, macroTargets, activityCalories });
+      if (leftover && !relinkedMeals.some(m => m.day === leftoverSource.day && m.slot === leftoverSource.slot)) {
+        relinkedMeals.push({ day: leftoverSource.day, slot: leftoverSource.slot });
       }
+      const meal = leftover || selectMealWithFallback(
+        pools[mealType] || [], macroTargets.calories, macroTargets, mealType, activityCalories, day, usedRecipeIds, slotSelectionOptions
+      );
+
+      newDay[slot] = meal && {
+        ...meal,
+        slot,
+        mealType,
+        scheduledTime: existing.scheduledTime || time || null,
+        calorieShare: slotShare,
+        targetCalories: Math.round(macroTargets.calories),
+        ...(focus && { focus })
+      };
+      slotTargets[slot] = { mealType, macroTargets, activityCalories, focus };
+    }
+
+    // Keep the day under the caps the plan was built with
+    const caps = getPlanNutrientCaps(plan);
+    const capSwaps = caps ? fitDayToNutrientCaps(newDay, caps, { slotTargets, recipesByMealType: pools, usedRecipeIds, timeLimits, recipeLimits }) : 0;
+    labelPreferenceMatches(newDay, preferenceScorer);
+    explainDayMeals(newDay, { slotTargets, recipesByMealType: pools, poolScreening, timeLimits, preferenceScorer, recentPenalty });
+
+    const regenerationEntry = {
+      day,
+      previousRecipeIds,
+      recipeIds: Object.values(newDay).filter(Boolean).map(meal => meal.id),
+      seed,
+      regeneratedAt: new Date().toISOString()
     };
 
-    // Save to Firestore
-    const planRef = await db.collection('users').doc(userId).collection('nutritionPlans').add(generatedPlan);
+    const updatedDays = { ...otherDays, [day]: newDay };
+    const achieved = summarisePlanNutrition({ ...plan, days: updatedDays });
+    const nutrientCaps = caps ? summariseNutrientCaps(updatedDays, caps, plan.nutrientCaps.swapsMade + capSwaps) : null;
+    const kitchenTime = summariseKitchenTime(updatedDays, cookingTimeLimits);
+
+    // The limit is checked again and the count written in one transaction, so parallel requests cannot
+    // both use the last regeneration. The new day was built from the plan as first read, so a count that
+    // moved in between means another regeneration landed first
+    const outcome = await db.runTransaction(async transaction => {
+      const latestDoc = await transaction.get(planRef);
+      if (!latestDoc.exists) {
+        return { missing: true };
+      }
 
-    // Decrement quota and update tracking
-    await db.collection('users').doc(userId).update({
-      planGenerationQuota: admin.firestore.FieldValue.increment(-1),
-      lastPlanGeneratedAt: admin.firestore.FieldValue.serverTimestamp(),
-      totalPlansGenerated: admin.firestore.FieldValue.increment(1)
+      const used = latestDoc.data().dayRegenerationCount || 0;
+      if (used >= regenerationLimit) {
+        return { limitReached: true, used };
+      }
+      if (used !== regenerationsUsed) {
+        return { conflict: true };
+      }
+
+      transaction.update(planRef, {
+        [`days.${day}`]: newDay,
+        ...Object.fromEntries(relinkedMeals.map(m => [`days.${m.day}.${m.slot}`, updatedDays[m.day][m.slot]])),
+        achieved,
+        ...(nutrientCaps && { nutrientCaps }),
+        kitchenTime,
+        ...(plan.preferences && { 'preferences.matchedMeals': countPreferenceMatchedMeals(updatedDays) }),
+        ...(plan.batchCooking && { 'batchCooking.leftoverMeals': countLeftoverMeals(updatedDays) }),
+        dayRegenerationCount: used + 1,
+        regenerationHistory: admin.firestore.FieldValue.arrayUnion(regenerationEntry),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return { used };
     });
 
-    // Compute remaining quota locally — avoids an extra Firestore read
-    const updatedQuota = Math.max(0, (req.subscriptionData.quota || 1) - 1);
+    if (outcome.missing) {
+      return res.status(404).json({
+        error: 'Nutrition plan not found'
+      });
+    }
 
-    res.status(201).json({
+    if (outcome.limitReached) {
+      return sendLimitReached(outcome.used);
+    }
+
+    if (outcome.conflict) {
+      return res.status(409).json({
+        error: 'Plan changed',
+        message: 'Another day regeneration finished while this one was running. Please try again'
+      });
+    }
+
+    const shoppingListStale = await markShoppingListStale(planRef, 'day-regeneration');
+
+    res.json({
       success: true,
-      message: 'Nutrition plan generated successfully',
-      planId: planRef.id,
-      plan: {
-        ...generatedPlan,
-        generatedAt: new Date().toISOString()
-      },
-      quotaRemaining: updatedQuota,
-      subscriptionTier: req.subscriptionData?.tier || 'unknown'
+      message: `${day} regenerated successfully`,
+      day,
+      meals: newDay,
+      achieved,
+      nutrientCaps,
+      kitchenTime,
+      regenerationsUsed: regenerationsUsed + 1,
+      regenerationLimit,
+      regenerationsRemaining: Math.max(0, regenerationLimit - regenerationsUsed - 1),
+      shoppingListStale
     });
 
   } catch (error) {
-    console.error('Error generating nutrition plan:', error);
+    console.error('Error regenerating plan day:', error);
     res.status(500).json({
-      error: 'Failed to generate nutrition plan',
+      error: 'Failed to regenerate day',
       message: error.message
     });
   }
@@ -3192,6 +7890,58 @@ router.post('/users/:userId/generate-nutrition-plan', verifyFirebaseAuth, verify
 const fetch = require('node-fetch');
 const functions = require('firebase-functions');
 
+const UNICODE_FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3, '⅛': 0.125 };
+
+// Leading quantity of an ingredient line: "2", "1.5", "1/2", "1 1/2", "1½", "½", and ranges such as "2-3" or "2 to 3"
+const QUANTITY = '(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\.?\\d+[½¼¾⅓⅔⅛]?|[½¼¾⅓⅔⅛])';
+const LEADING_QUANTITY_PATTERN = new RegExp(`^(${QUANTITY})(?:(\\s*(?:-|–|to)\\s*)(${QUANTITY}))?`);
+
+const parseQuantity = text => {
+  const mixed = text.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+
+  const fraction = text.match(/^(\d+)\/(\d+)$/);
+  if (fraction) return Number(fraction[1]) / Number(fraction[2]);
+
+  const unicode = text.match(/^(\d*\.?\d*)([½¼¾⅓⅔⅛])$/);
+  if (unicode) return (Number(unicode[1]) || 0) + UNICODE_FRACTIONS[unicode[2]];
+
+  return Number(text);
+};
+
+// Whole numbers from 10 up, quarters below (never rounded down to zero)
+const formatQuantity = value => {
+  if (value >= 10) return String(Math.round(value));
+  return String(Math.max(0.25, Math.round(value * 4) / 4));
+};
+
+/**
+ * Scale the leading quantity of an ingredient line by a portion multiplier
+ * Lines without a leading quantity ("salt to taste") are returned unchanged
+ */
+const scaleIngredientLine = (line, multiplier = 1) => {
+  if (!multiplier || multiplier === 1) return line;
+
+  const match = line.match(LEADING_QUANTITY_PATTERN);
+  if (!match) return line;
+
+  const [quantityText, from, separator, to] = match;
+  const scaledFrom = formatQuantity(parseQuantity(from) * multiplier);
+  const scaledQuantity = to ? `${scaledFrom}${separator}${formatQuantity(parseQuantity(to) * multiplier)}` : scaledFrom;
+  return scaledQuantity + line.slice(quantityText.length);
+};
+
+/**
+ * Ingredient lines of a plan meal, scaled to the meal's portion multiplier
+ * The recipe catalog separates lines with a literal "/n". A batch-cooked dinner's recipe already makes
+ * its leftover lunch, so the dinner is bought at its own portion and the leftover adds nothing.
+ */
+const getMealIngredientLines = meal => (isLeftoverMeal(meal) ? '' : meal?.Ingredients || '')
+  .split('/n')
+  .map(line => line.trim())
+  .filter(line => line.length > 0)
+  .map(line => scaleIngredientLine(line, meal.portionMultiplier || 1));
+
 /**
  * POST /users/:userId/nutrition-plans/:planId/generate-shopping-list
  * Generate shopping list from nutrition plan using Gemini AI
@@ -3231,18 +7981,11 @@ router.post('/users/:userId/nutrition-plans/:planId/generate-shopping-list', ver
 
     const planDays = nutritionPlanData.days;
     let allIngredientLines = [];
-    const mealTypes = ['breakfast', 'lunch', 'dinner', 'snack'];
 
-    // Extract all ingredients
+    // Extract all ingredients from every meal slot, scaled to each meal's portion (leftovers come with their dinner)
     for (const day of Object.keys(planDays)) {
-      const dayData = planDays[day];
-
-      for (const mealType of mealTypes) {
-        if (dayData[mealType] && typeof dayData[mealType] === 'object' && dayData[mealType].Ingredients) {
-          const ingredientString = dayData[mealType].Ingredients;
-          const lines = ingredientString.split('/n').map(line => line.trim()).filter(line => line.length > 0);
-          allIngredientLines = allIngredientLines.concat(lines);
-        }
+      for (const [, meal] of getDayMealEntries(planDays[day])) {
+        allIngredientLines = allIngredientLines.concat(getMealIngredientLines(meal));
       }
     }
 
@@ -3652,3 +8395,21 @@ module.exports = router;
 // Export subscription management utilities for scheduled functions
 module.exports.expireSubscriptions = expireSubscriptions;
 module.exports.resetQuotasOnAnniversary = resetQuotasOnAnniversary;
+
+// Export plan helpers shared with the legacy functions in index.js
+module.exports.calculateMacroBalanceScore = calculateMacroBalanceScore;
+module.exports.adjustTargetsForMealType = adjustTargetsForMealType;
+module.exports.getDayMealEntries = getDayMealEntries;
+module.exports.resolvePlanInputs = resolvePlanInputs;
+module.exports.buildNutritionPlan = buildNutritionPlan;
+module.exports.loadPlanRecipePools = loadPlanRecipePools;
+module.exports.resolveAllergies = resolveAllergies;
+module.exports.findRecipeAllergen = findRecipeAllergen;
+module.exports.getMealIngredientLines = getMealIngredientLines;
+module.exports.summarisePlanNutrition = summarisePlanNutrition;
+module.exports.resolveEnergySettings = resolveEnergySettings;
+module.exports.calculateEnergyBaseline = calculateEnergyBaseline;
+module.exports.resolveWeightGoal = resolveWeightGoal;
+module.exports.projectWeightGoal = projectWeightGoal;
+module.exports.getGoalMacroSplit = getGoalMacroSplit;
+module.exports.getStoredMacroSplit = getStoredMacroSplit;
@@ -130,19 +130,20 @@ exports.generateShoppingList = functions.https.onRequest(async (req, res) => {
 
     const planDays = nutritionPlanData.days;
     let allIngredientLines = [];
-    const mealTypes = ['breakfast', 'lunch', 'dinner', 'snack'];
 
     for (const day of Object.keys(planDays)) {
         const dayData = planDays[day];
         console.log(`[ShopListFn] Processing day: ${day}. Day Data Keys: ${Object.keys(dayData || {})}`); // DEBUG
 
-        for (const mealType of mealTypes) {
+        // Meal slots vary with mealsPerDay (e.g. snack2), so read every slot in the day
+        for (const [mealType] of apiRoutes.getDayMealEntries(dayData)) {
             console.log(`[ShopListFn] Checking ${day} - ${mealType}...`); // DEBUG
             if (dayData[mealType] && typeof dayData[mealType] === 'object' && dayData[mealType].Ingredients) {
                 const ingredientString = dayData[mealType].Ingredients;
                 console.log(`[ShopListFn] Found ingredients for ${day} - ${mealType}. Raw string length: ${ingredientString.length}. String (first 50 chars): "${ingredientString.substring(0, Math.min(ingredientString.length, 50))}..."`); // DEBUG: Log snippet
 
-                const lines = ingredientString.split('/n').map(line => line.trim()).filter(line => line.length > 0);
+                // Scaled to the meal's portion multiplier
+                const lines = apiRoutes.getMealIngredientLines(dayData[mealType]);
                 console.log(`[ShopListFn] Split ${lines.length} lines for ${day} - ${mealType}. First line: "${lines[0] || 'N/A'}"`); // DEBUG
                 allIngredientLines = allIngredientLines.concat(lines);
             } else {
@@ -1096,87 +1097,17 @@ exports.generateCalorieTargets = functions
 
   // Helper function: filterRecipes
   const filterRecipes = (recipes, allergies, dislikes) => {
+    // Allergens are matched by group (e.g. "nuts" covers almonds and peanuts) on whole words
+    const allergenProfile = apiRoutes.resolveAllergies(allergies);
     return recipes.filter(recipe => {
       const ing = (recipe.Ingredients || '').toLowerCase();
-      return !allergies.some(a => ing.includes(a.toLowerCase())) &&
+      return !apiRoutes.findRecipeAllergen(recipe, allergenProfile) &&
              !dislikes.some(d => ing.includes(d.toLowerCase()));
     });
   };
 
-  // Helper function: calculateMacroBalanceScore
-  const calculateMacroBalanceScore = (recipe, targets) => {
-    // Calculate percentage differences from targets
-    const proteinDiff = Math.abs(recipe.Protein - targets.protein) / (targets.protein || 1);
-    const carbsDiff = Math.abs(recipe.Carbs - targets.carbs) / (targets.carbs || 1);
-    const fatDiff = Math.abs(recipe.Fat - targets.fat) / (targets.fat || 1);
-    
-    // Average deviation (lower is better)
-    const avgDeviation = (proteinDiff + carbsDiff + fatDiff) / 3;
-    
-    // Penalty factors for health concerns
-    let penalties = 0;
-    
-    // High sugar penalty (>15g = processed/unhealthy)
-    if (recipe.Sugars > 15) {
-      penalties += (recipe.Sugars - 15) * 0.1;
-    }
-    
-    // High saturated fat penalty (>10g per meal)
-    if (recipe.Saturates > 10) {
-      penalties += (recipe.Saturates - 10) * 0.1;
-    }
-    
-    // Low fiber bonus (reward high fiber)
-    if (recipe.Fibre >= 5) {
-      penalties -= recipe.Fibre * 0.05; // Negative penalty = bonus
-    }
-    
-    // High sodium penalty
-    if (recipe.Salt > 800) {
-      penalties += (recipe.Salt - 800) * 0.0001;
-    }
-    
-    // Calculate final score (0-100, higher is better)
-    const baseScore = 100 * (1 - Math.min(avgDeviation, 1));
-    const finalScore = Math.max(0, baseScore - (penalties * 10));
-    
-    return finalScore;
-  };
-
-  // Helper function: adjustTargetsForMealType
-  const adjustTargetsForMealType = (baseTargets, mealType, activityCalories) => {
-    const adjusted = { ...baseTargets };
-    
-    switch(mealType) {
-      case 'breakfast':
-        // Breakfast typically higher carbs for energy
-        adjusted.carbs *= 1.1;
-        adjusted.protein *= 0.9;
-        break;
-        
-      case 'lunch':
-        // Balanced meal - no adjustment
-        break;
-        
-      case 'dinner':
-        // Higher protein for muscle recovery
-        adjusted.protein *= 1.15;
-        adjusted.carbs *= 0.9;
-        break;
-        
-      case 'snack':
-        // Focus on protein/fiber for satiety
-        adjusted.protein *= 1.2;
-        break;
-    }
-    
-    // Adjust for high activity days
-    if (activityCalories > 500) {
-      adjusted.carbs *= 1.15; // More carbs for fuel
-    }
-    
-    return adjusted;
-  };
+  // Scoring is shared with the REST plan generator in api-routes.js
+  const { calculateMacroBalanceScore, adjustTargetsForMealType } = apiRoutes;
 
   const selectBalancedMealForDay = (recipes, targetCalories, macroTargets, usedRecipeIds, mealType, activityCalories, relax = false, day = '') => {
     const tolerance = relax ? 100 : 50;
@@ -1239,8 +1170,7 @@ exports.generateCalorieTargets = functions
     const {
       age, gender, height, weight, weeklyActivity = {},
       fitnessLevel = '', goal = '', foodAllergies = '', foodLikes = '', foodDislikes = '',
-      name = '', email = '',
-      proteinPercentage: userProtein, carbsPercentage: userCarbs, fatPercentage: userFat
+      name = '', email = ''
     } = userData;
 
     const parsedAge = typeof age === 'string' ? parseInt(age) : age;
@@ -1254,27 +1184,27 @@ exports.generateCalorieTargets = functions
     if (!parsedHeight || parsedHeight <= 0) throw new functions.https.HttpsError('invalid-argument', 'Invalid height.');
     if (!parsedWeight || parsedWeight <= 0) throw new functions.https.HttpsError('invalid-argument', 'Invalid weight.');
 
-    const bmr = (10 * parsedWeight) + (6.25 * parsedHeight) - (5 * parsedAge) + (gender.toLowerCase() === 'male' ? 5 : -161);
-    functions.logger.info(`BMR for user ${uid}: ${bmr.toFixed(2)}`);
+    const { settings: energySettings, error: energyError } = apiRoutes.resolveEnergySettings(userData);
+    if (energyError) throw new functions.https.HttpsError('invalid-argument', energyError.message);
 
-    let proteinPercentage, carbsPercentage, fatPercentage;
-    if (userProtein != null && userCarbs != null && userFat != null) {
-      proteinPercentage = Number(userProtein);
-      carbsPercentage = Number(userCarbs);
-      fatPercentage = Number(userFat);
-    } else {
-      switch (goal.toLowerCase()) {
-        case 'lose weight': proteinPercentage = 0.4; fatPercentage = 0.25; carbsPercentage = 0.35; break;
-        case 'gain muscle': proteinPercentage = 0.3; fatPercentage = 0.25; carbsPercentage = 0.45; break;
-        default: proteinPercentage = 0.4; fatPercentage = 0.3; carbsPercentage = 0.3;
-      }
-    }
+    const energy = apiRoutes.calculateEnergyBaseline(
+      { weight: parsedWeight, height: parsedHeight, age: parsedAge, gender },
+      energySettings
+    );
+    energy.dailyTDEE = {};
+    functions.logger.info(`BMR for user ${uid}: ${energy.bmr} (${energy.formula}), baseline: ${energy.baselineCalories}`);
+
+    // Target weight and weekly rate set the calorie adjustment; a reached target plans for maintenance
+    const { goal: planGoal, calorieAdjustment, weightGoal, error: weightGoalError } = apiRoutes.resolveWeightGoal({
+      weight: parsedWeight, goal, targetWeight: userData.targetWeight, weeklyRateKg: userData.weeklyRateKg
+    });
+    if (weightGoalError) throw new functions.https.HttpsError('invalid-argument', weightGoalError.message);
+
+    const { split: storedSplit, error: storedSplitError } = apiRoutes.getStoredMacroSplit(userData);
+    if (storedSplitError) throw new functions.https.HttpsError('invalid-argument', storedSplitError.message);
 
-    const calorieAdjustment = {
-      'lose weight': -550,
-      'gain muscle': 250,
-      'maintain': 0
-    }[goal.toLowerCase()] ?? 0;
+    const { protein: proteinPercentage, carbs: carbsPercentage, fat: fatPercentage } =
+      storedSplit || apiRoutes.getGoalMacroSplit(planGoal);
 
     const dailyTargetDetails = {};
     const daysOfWeek = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
@@ -1288,7 +1218,8 @@ exports.generateCalorieTargets = functions
 
       totalWeeklyActivityCalories += activityCalories;
 
-      const dailyTDEE = bmr + activityCalories;
+      const dailyTDEE = energy.baselineCalories + activityCalories;
+      energy.dailyTDEE[day] = dailyTDEE;
       const adjustedCalories = dailyTDEE + calorieAdjustment;
       const minCalories = gender.toLowerCase() === 'male' ? 1500 : 1200;
       const maxCalories = dailyTDEE * 2.5;
@@ -1475,9 +1406,11 @@ exports.generateCalorieTargets = functions
     const generatedPlan = {
       planStartDate: new Date().toISOString(),
       generatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      notes: `Plan based on goal "${goal}"`,
+      notes: `Plan based on goal "${planGoal}"`,
       dailyTargetDetails,
       days: planDays,
+      achieved: apiRoutes.summarisePlanNutrition({ days: planDays, dailyTargetDetails }),
+      weightGoal: apiRoutes.projectWeightGoal(weightGoal, dailyTargetDetails, energy.dailyTDEE),
       inputDetails: {
         name,
         email,
@@ -1485,18 +1418,25 @@ exports.generateCalorieTargets = functions
         gender,
         height,
         weight,
-        goal,
+        goal: planGoal,
         fitnessLevel,
         foodAllergies,
         foodLikes,
         foodDislikes,
         weeklyActivity: weeklyActivity,
-        totalWeeklyActivityCalories
+        totalWeeklyActivityCalories,
+        energy
       }
     };
 
     // Save the plan to Firestore
     await db.collection('users').doc(uid).collection('nutritionPlans').add(generatedPlan);
+    if (weightGoal?.status === 'reached') {
+      await userDocRef.update({
+        goal: 'maintain',
+        targetWeightReachedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
     functions.logger.info(`Nutrition plan successfully saved for user: ${uid}`);
 
     // Prepare the plan to be sent back to the client
@@ -1522,19 +1462,6 @@ exports.recipeDebuggerHttp = functions.https.onRequest(async (req, res) => {
       return res.status(405).send({ error: 'Method not allowed. Use POST.' });
     }
 
-    function cleanObjectKeys(obj) {
-  const cleanedObj = {};
-  for (const key in obj) {
-    if (Object.prototype.hasOwnProperty.call(obj, key)) {
-      // Trim whitespace/newlines from the key
-      const cleanedKey = key.trim();
-      cleanedObj[cleanedKey] = obj[key];
-    }
-  }
-  return cleanedObj;
-}
-
-
     const uid = req.body.uid;
     if (!uid) {
       return res.status(401).send({ error: 'Missing uid in request body.' });
@@ -1550,117 +1477,29 @@ exports.recipeDebuggerHttp = functions.https.onRequest(async (req, res) => {
     const userData = userDoc.data();
     if (!userData) return res.status(500).send({ error: 'User data is empty.' });
 
-    const {
-      age, gender, height, weight, weeklyActivity,
-      fitnessLevel, goal, foodAllergies, foodLikes, foodDislikes,
-    } = userData;
-
-    if (!weeklyActivity || typeof weeklyActivity !== 'object') {
-      return res.status(400).send({ error: 'Missing or invalid weeklyActivity.' });
-    }
-
-    const userGoal = goal?.trim()?.toLowerCase() ?? 'maintain';
-    const bmr = (10 * weight) + (6.25 * height) - (5 * age) + (gender.toLowerCase() === 'male' ? 5 : -161);
-
-    const calorieAdjustment = {
-      'lose weight': -550,
-      'gain muscle': 250,
-      'maintain': 0
-    }[userGoal] ?? 0;
-
-    const proteinPercentage = userGoal === 'gain muscle' ? 0.30 : 0.40;
-    const fatPercentage = 0.25;
-    const carbsPercentage = 1 - proteinPercentage - fatPercentage;
-
-    const dailyTargetDetails = {};
-    const daysOfWeek = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-
-    for (const day of daysOfWeek) {
-      const activity = weeklyActivity[day];
-      const activityCalories = (activity && typeof activity.calories === 'number') ? activity.calories : 0;
-      let dailyTDEE = bmr + activityCalories;
-      let adjustedCalories = dailyTDEE + calorieAdjustment;
-      const finalCalories = Math.round(Math.max(adjustedCalories, gender.toLowerCase() === 'male' ? 1500 : 1200));
-
-      const proteinGrams = Math.round((finalCalories * proteinPercentage) / 4);
-      const carbsGrams = Math.round((finalCalories * carbsPercentage) / 4);
-      const fatGrams = Math.round((finalCalories * fatPercentage) / 9);
-
-      dailyTargetDetails[day] = {
-        calories: finalCalories,
-        proteinGrams,
-        carbsGrams,
-        fatGrams
-      };
-    }
-
-    const collections = {
-      breakfast: "breakfast_list_full_may2025",
-      lunch: "lunch_list_full_may2025",
-      dinner: "dinner_list_full_may2025",
-      snack: "snack_list_full_may2025"
-    };
-
-    const filterRecipes = (recipes, allergies, dislikes) => {
-      return recipes.filter(recipe => {
-        const ing = (recipe.Ingredients || '').toLowerCase();
-        return !allergies.some(a => ing.includes(a.toLowerCase())) &&
-               !dislikes.some(d => ing.includes(d.toLowerCase()));
-      });
-    };
+    // Targets and recipe screening come from the REST plan pipeline, so the debugger sees what plans see
+    const { inputs, error: inputError } = apiRoutes.resolvePlanInputs(userData);
+    if (inputError) return res.status(400).send(inputError);
 
-     async function parseRecipeFields(recipe) {
-      const cleanedRecipe = cleanObjectKeys(recipe);
-      functions.logger.debug("Cleaned recipe keys after trimming:", Object.keys(cleanedRecipe));
-
-      return {
-        ...cleanedRecipe, // Use the cleaned object here
-        Calories: parseFloat(cleanedRecipe.Calories) || 0, // Access using cleaned key
-        Carbs: parseFloat(cleanedRecipe.Carbs) || 0,
-        Fat: parseFloat(cleanedRecipe.Fat) || 0,
-        Fibre: parseFloat(cleanedRecipe.Fibre) || 0,
-        Protein: parseFloat(cleanedRecipe.Protein) || 0,
-        Salt: parseFloat(cleanedRecipe.Salt) || 0,
-        Saturates: parseFloat(cleanedRecipe.Saturates) || 0,
-        Sugars: parseFloat(cleanedRecipe.Sugars) || 0,
-        // **IMPORTANT: Update these R-style names based on your actual Firestore keys after inspection**
-        perc_carbs: parseFloat(cleanedRecipe["perc_carbs[1:nrow(lunch_list_done)]"]) || 0, // Assuming actual key is "perc_carbs"
-        perc_fat: parseFloat(cleanedRecipe.perc_fat) || 0,
-        perc_fibre: parseFloat(cleanedRecipe["perc_fibre[1:nrow(lunch_list_done)]"]) || 0,
-        perc_prot: parseFloat(cleanedRecipe["perc_prot[1:nrow(lunch_list_done)]"]) || 0,
-        total_g: parseFloat(cleanedRecipe["total_g[1:nrow(lunch_list_done)]"]) || 0
-      };
-    }
+    const plan = await apiRoutes.buildNutritionPlan(inputs, { userId: uid });
+    const dailyTargetDetails = plan.dailyTargetDetails;
 
-    async function fetchRecipes(collectionName) {
-      const snapshot = await db.collection(collectionName).get();
-      return snapshot.docs.map(doc => {
-        const rawRecipe = { id: doc.id, ...doc.data() };
-        // The id should be correctly populated now
-        return parseRecipeFields(rawRecipe);
-      });
-    }
-
-
-    const allergyList = (foodAllergies || '').split(',').map(s => s.trim()).filter(Boolean);
-    const dislikeList = (foodDislikes || '').split(',').map(s => s.trim()).filter(Boolean);
+    const mealTypes = ['breakfast', 'lunch', 'dinner', 'snack'];
+    const { pools, poolScreening } = await apiRoutes.loadPlanRecipePools(userData, plan, mealTypes);
 
     // Store filtered recipe data and their average calories
     const mealDebugResults = {};
 
-    for (const [mealType, collectionName] of Object.entries(collections)) {
-      const allRecipes = await fetchRecipes(collectionName);
-      functions.logger.info(`${mealType} recipes total: ${allRecipes.length}`);
-
-      const filtered = filterRecipes(allRecipes, allergyList, dislikeList);
-      functions.logger.info(`${mealType} recipes after filtering: ${filtered.length}`);
+    for (const mealType of mealTypes) {
+      const filtered = pools[mealType];
+      const screening = poolScreening[mealType];
+      functions.logger.info(`${mealType} recipes total: ${screening.total}, after filtering: ${filtered.length}`);
 
       // Calculate mean calories for remaining recipes
       let totalCalories = 0;
       let validCalorieRecipesCount = 0;
 
       filtered.forEach(recipe => {
-        // Ensure Calories is a number and not NaN, even if parseRecipeFields returned 0.
         // We avoid counting recipes with 0 calories from parsing failures for the average.
         if (typeof recipe.Calories === 'number' && !isNaN(recipe.Calories) && recipe.Calories > 0) {
           totalCalories += recipe.Calories;
@@ -1677,8 +1516,9 @@ exports.recipeDebuggerHttp = functions.https.onRequest(async (req, res) => {
       functions.logger.info(`${mealType} mean calories (from ${validCalorieRecipesCount} valid recipes): ${meanCalories}`);
 
       mealDebugResults[mealType] = {
-        totalRecipes: allRecipes.length,
+        totalRecipes: screening.total,
         filteredRecipes: filtered.length,
+        filteredOut: screening.filteredOut,
         validRecipesForAverage: validCalorieRecipesCount,
         meanCalories: parseFloat(meanCalories) // Convert back to number for the JSON response
       };
@@ -1730,16 +1570,21 @@ apiApp.get('/', (req, res) => {
           'GET /v1/recipes/count - Recipe counts',
           'GET /v1/recipes/:mealType - List recipes',
           'GET /v1/recipes/:mealType/:recipeId - Get recipe',
+          'POST /v1/activity/estimate-calories - Estimate activity calories',
           'POST /v1/users/register - Register new user'
         ],
         requiresFirebaseAuth: [
           'GET /v1/users/:userId/profile - Get profile',
           'PUT /v1/users/:userId/profile - Update profile',
+          'PUT /v1/users/:userId/macro-targets - Set macro split',
+          'PUT /v1/users/:userId/cooking-time-limits - Set cooking time limits',
+          'PUT /v1/users/:userId/fasting - Set intermittent fasting or Ramadan mode',
           'POST /v1/payments/create-checkout - Create Stripe checkout',
           'POST /v1/payments/cancel-subscription - Cancel subscription',
           'GET /v1/payments/subscription-status - Subscription status',
           'POST /v1/users/:userId/generate-nutrition-plan - Generate plan',
           'GET /v1/users/:userId/nutrition-plans - List plans',
+          'GET /v1/users/:userId/nutrition-plans/:planId/today - Get today\'s plan day',
           'POST /v1/users/:userId/nutrition-plans/:planId/generate-shopping-list - Generate shopping list',
           'GET /v1/users/:userId/nutrition-plans/:planId/shopping-list - Get shopping list'
         ],